@@ -0,0 +1,28 @@
+// Google Calendar Callback Extension - Speaker Access
+// The popup closes as soon as Chrome's permission prompt takes focus, so it
+// opens this tab to ask for microphone access instead. Once access is granted,
+// the popup's Find devices button can list the speakers by name.
+
+const statusText = document.getElementById('status');
+const retryButton = document.getElementById('retry');
+
+async function requestAccess() {
+  retryButton.classList.add('hidden');
+
+  try {
+    // Only the permission is needed, so the stream is stopped straight away
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream.getTracks().forEach(track => track.stop());
+
+    statusText.textContent = 'Done. Open Calendar Callback and press Find devices to choose a speaker. You can close this tab.';
+    console.log('Microphone access granted for listing audio outputs');
+  } catch (error) {
+    console.warn('Microphone access not granted:', error);
+    statusText.textContent = 'Microphone access wasn\'t allowed, so speakers can\'t be listed by name. ' +
+      'If Chrome stopped asking, allow it from the site settings icon in the address bar.';
+    retryButton.classList.remove('hidden');
+  }
+}
+
+retryButton.addEventListener('click', requestAccess);
+requestAccess();
@@ -7,6 +7,22 @@ import errorTracker from './utils/error-tracking.js';
 // Import the AuthService singleton for token management
 import authService from './popup/services/auth.service.js';
 
+// Import the incremental calendar sync engine
+import calendarSync from './utils/calendar-sync.js';
+
+// Import conference link extraction for Meet, Zoom, Teams and Webex
+import { extractConferenceLink } from './utils/conference-links.js';
+
+// Import the adaptive polling schedule
+import { getPollingSchedule, POLLING_INTERVALS } from './utils/polling-schedule.js';
+import { findMatchingRule, getResponseStatus } from './utils/ring-rules.js';
+import { getStageAlarmName, parseStageAlarmName, STAGE_ALARM_PREFIX } from './utils/reminder-stages.js';
+import callHistory, { isCallInProgress } from './utils/call-history.js';
+import { getEventTimeDetails, parseEventTime } from './utils/event-time.js';
+import callerIdCache, { getEventPeople } from './utils/caller-id.js';
+import { DEFAULT_MAX_SNOOZES, getSnoozeLabel, getSnoozeTime, resolveSnoozeOption } from './utils/snooze.js';
+import { DEFAULT_ESCALATION, getRingEndTime } from './utils/escalation.js';
+
 // Service worker registration error handling
 if (typeof self !== 'undefined') {
   self.addEventListener('error', (event) => {
@@ -43,9 +59,27 @@ function logError(error, context = 'general') {
 
 // Constants
 const CALENDAR_ALARM_NAME = 'calendarPolling'; // Alarm name for polling calendar
-const CALENDAR_POLLING_INTERVAL = 5; // Minutes between calendar polls
-const EVENT_TRIGGER_THRESHOLD = 5; // Minutes before event to trigger alarm
-const MAX_PAGES = 3; // Maximum number of calendar API result pages to process
+const CALENDAR_POLLING_INTERVAL = POLLING_INTERVALS.normal; // Default minutes between calendar polls
+const IDLE_DETECTION_INTERVAL = 300; // Seconds without input before the machine counts as idle
+const EVENT_ALARM_PREFIX = 'eventReminder_'; // Alarm name prefix for meeting rings
+const RING_GRACE_MINUTES = 2; // A ring time missed by up to this long (worker asleep, late poll) still rings
+const DEFAULT_NOTIFICATION_TIMING = 60; // Seconds before the start time to ring (matches SettingsService default)
+const CALENDAR_LIST_STORAGE_KEY = 'calendarList'; // Storage key for the cached calendar list
+const EVENT_REMINDERS_STORAGE_KEY = 'eventReminders'; // Storage key for per-event custom ring times
+const MAX_EVENT_REMINDER_MINUTES = 1440; // Latest custom ring time allowed, a day before the start
+const MEETING_NOTIFICATION_PREFIX = 'meeting_'; // Notification ID prefix for ringing meetings
+const COUNTDOWN_ALARM_PREFIX = 'notificationCountdown_'; // Alarm name prefix for updating a notification's countdown
+const COUNTDOWN_UPDATE_MINUTES = 0.5; // How often the countdown in a meeting notification is refreshed
+const COUNTDOWN_GRACE_MINUTES = 5; // Keep counting for this long after the start ("Started 2 min ago")
+const MISSED_NOTIFICATION_PREFIX = 'missed_'; // Notification ID prefix for missed call follow-ups
+const MISSED_BADGE_COLOR = '#ea4335'; // Badge color for the missed call count
+const BADGE_ALARM_NAME = 'actionBadgeUpdate'; // Alarm name for refreshing the countdown on the toolbar icon
+const BADGE_UPDATE_MINUTES = 1; // How often the toolbar countdown is refreshed
+const BADGE_SOON_MINUTES = 10; // Countdown turns yellow from this many minutes before the start
+const BADGE_IMMINENT_MINUTES = 2; // Countdown turns red from this many minutes before the start
+const BADGE_COLORS = { later: '#5f6368', soon: '#f9ab00', imminent: '#ea4335', live: '#34a853' };
+const ACTION_TITLE = 'Calendar Callback'; // Toolbar tooltip, matches the manifest name
+const CALLER_ID_LOOKAHEAD_MINUTES = 60; // Look up organizers and attendees of meetings starting this soon
 const MAX_EVENTS_TO_LOG = 5; // Maximum number of events to log details for
 const POPUP_STATUS_INTERVAL = 2; // Seconds between status updates to popup
 const DEBUG = true; // Enable debug logging (can be toggled in settings)
@@ -55,12 +89,16 @@ let popupUpdateInterval = null; // Interval for sending status updates to popup
 
 // State variables
 let isPolling = false;
+let pollQueued = false; // Another poll was asked for while one was running
 let lastPollTime = null;
 let upcomingMeetings = [];
+const triggersInProgress = new Set(); // Event IDs whose ring is being set up right now
 let lastError = null;
 let monitoringState = 'inactive'; // 'inactive' | 'starting' | 'active'
 let isAuthenticated = false; // Track authentication state
 let popupPort = null; // For direct port communication with popup
+let currentPollingInterval = CALENDAR_POLLING_INTERVAL; // Minutes between polls right now
+let currentPollingReason = 'normal'; // Why the current polling interval was chosen
 const MONITORING_STORAGE_KEY = 'monitoringState';
 const KEEP_ALIVE_INTERVAL = 25000; // 25 seconds (less than 30s Chrome service worker timeout)
 
@@ -220,6 +258,7 @@ async function updateAuthState(newState) {
     console.log('[Background] Auth state cleared, resetting sensitive data');
     upcomingMeetings = [];
     lastPollTime = null;
+    await calendarSync.reset();
   }
   
   return authState;
@@ -337,12 +376,17 @@ async function initialize() {
         : null;
     }
     
-    // Set up the polling alarm
+    // Set up the polling alarm and the signals that adapt its rate
+    await setupPollingSignals();
     await setupPollingAlarm();
     
     // Set up keep-alive mechanism
     setupKeepAlive();
     
+    // Keep the countdown and missed call count on the toolbar icon current
+    await chrome.alarms.create(BADGE_ALARM_NAME, { periodInMinutes: BADGE_UPDATE_MINUTES });
+    await updateActionBadge();
+    
     // Initial poll if authenticated
     const authState = await initializeAuthState();
     if (authState.isAuthenticated) {
@@ -639,6 +683,9 @@ async function sendStatusUpdateToPopup() {
       }
     }
     
+    // Report the lead time actually used for scheduling
+    const settings = await getUserSettings();
+    
     // Prepare status message
     const statusMessage = {
       action: 'statusUpdate',
@@ -650,8 +697,10 @@ async function sendStatusUpdateToPopup() {
         upcomingMeetings: upcomingMeetings,
         isPolling: isPolling,
         monitoringState: monitoringState, // Add monitoring state
-        pollInterval: CALENDAR_POLLING_INTERVAL,
-        triggerThreshold: EVENT_TRIGGER_THRESHOLD,
+        pollInterval: currentPollingInterval,
+        pollReason: currentPollingReason,
+        triggerThreshold: getRingLeadSeconds(null, settings) / 60,
+        timingMode: settings.timingMode || 'fixed',
         timestamp: new Date().toISOString()
       }
     };
@@ -671,9 +720,18 @@ async function handleAlarm(alarm) {
     if (isAuthenticated) {
       await fetchUpcomingEvents();
     }
-  } else if (alarm.name.startsWith('eventReminder_')) {
-    const eventId = alarm.name.replace('eventReminder_', '');
-    triggerCallOverlay(eventId);
+  } else if (alarm.name === BADGE_ALARM_NAME) {
+    await updateActionBadge();
+  } else if (alarm.name.startsWith(EVENT_ALARM_PREFIX)) {
+    const eventId = alarm.name.slice(EVENT_ALARM_PREFIX.length);
+    await triggerCallOverlay(eventId);
+  } else if (alarm.name.startsWith(COUNTDOWN_ALARM_PREFIX)) {
+    await updateNotificationCountdown(alarm.name.slice(COUNTDOWN_ALARM_PREFIX.length));
+  } else if (alarm.name.startsWith(STAGE_ALARM_PREFIX)) {
+    const stageAlarm = parseStageAlarmName(alarm.name);
+    if (stageAlarm) {
+      await triggerReminderStage(stageAlarm.eventId, stageAlarm.stage);
+    }
   }
 }
 
@@ -711,7 +769,9 @@ async function fetchWithRetry(url, token, maxRetries = 2) {
       // For other errors, check if we should retry
       if (!isRetryableError(response.status) || attempt === maxRetries) {
         const errorText = await response.text();
-        throw new Error(`API request failed: ${response.status} - ${errorText}`);
+        const apiError = new Error(`API request failed: ${response.status} - ${errorText}`);
+        apiError.status = response.status;
+        throw apiError;
       }
       
       console.log(`Attempt ${attempt + 1} failed, retrying...`);
@@ -719,7 +779,7 @@ async function fetchWithRetry(url, token, maxRetries = 2) {
       
     } catch (error) {
       lastError = error;
-      if (error.message === 'token_expired' || attempt === maxRetries) {
+      if (error.message === 'token_expired' || error.status || attempt === maxRetries) {
         throw error;
       }
       await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
@@ -729,12 +789,233 @@ async function fetchWithRetry(url, token, maxRetries = 2) {
   throw lastError || new Error('Unknown error in fetchWithRetry');
 }
 
-// Fetch upcoming calendar events with pagination support
+// Fetch the user's calendar list so secondary, shared and delegated calendars can be monitored
+async function fetchCalendarList(token) {
+  let calendars = [];
+  let nextPageToken = null;
+  
+  do {
+    let url = 'https://www.googleapis.com/calendar/v3/users/me/calendarList?minAccessRole=reader&maxResults=250';
+    if (nextPageToken) {
+      url += `&pageToken=${encodeURIComponent(nextPageToken)}`;
+    }
+    
+    const response = await fetchWithRetry(url, token);
+    const data = await response.json();
+    
+    calendars = calendars.concat((data.items || [])
+      .filter(calendar => !calendar.deleted)
+      .map(calendar => ({
+        id: calendar.id,
+        summary: calendar.summaryOverride || calendar.summary || calendar.id,
+        primary: !!calendar.primary,
+        selected: !!calendar.selected,
+        hidden: !!calendar.hidden,
+        accessRole: calendar.accessRole,
+        backgroundColor: calendar.backgroundColor || null,
+        defaultReminders: calendar.defaultReminders || []
+      })));
+    
+    nextPageToken = data.nextPageToken || null;
+  } while (nextPageToken);
+  
+  // Keep the primary calendar first so its copy of a shared event wins when de-duplicating
+  calendars.sort((a, b) => Number(b.primary) - Number(a.primary));
+  
+  await chrome.storage.local.set({ [CALENDAR_LIST_STORAGE_KEY]: calendars });
+  console.log(`Fetched ${calendars.length} calendars from calendar list`);
+  return calendars;
+}
+
+// Decide which calendars to poll based on the user's per-calendar toggles
+function getMonitoredCalendars(calendars, settings = {}) {
+  const selection = settings.calendarSelection || {};
+  
+  return calendars.filter(calendar => {
+    if (typeof selection[calendar.id] === 'boolean') {
+      return selection[calendar.id];
+    }
+    // Calendars the user hasn't toggled yet follow their visibility in Google Calendar
+    return calendar.primary || (calendar.selected && !calendar.hidden);
+  });
+}
+
+// Read the user's settings as last synchronized from the popup
+async function getUserSettings() {
+  const data = await chrome.storage.local.get('userSettings');
+  return data.userSettings || {};
+}
+
+/**
+ * Read everything that decides when and how events ring
+ * Per-event custom ring times are owned by the background, so they are kept
+ * apart from userSettings and merged in here.
+ * @returns {Promise<Object>} User settings plus eventReminders
+ */
+async function getRingSettings() {
+  const data = await chrome.storage.local.get(['userSettings', EVENT_REMINDERS_STORAGE_KEY]);
+  return {
+    ...(data.userSettings || {}),
+    eventReminders: data[EVENT_REMINDERS_STORAGE_KEY] || {}
+  };
+}
+
+/**
+ * Set or clear a custom ring time for a single event and reschedule its ring
+ * The override is kept until the event ends, so later polls keep honoring it.
+ * @param {string} eventId - Calendar event ID
+ * @param {number|null} minutesBefore - Minutes before the start to ring, or null to use the usual timing
+ */
+async function setReminderForEvent(eventId, minutesBefore) {
+  const minutes = minutesBefore === null ? null : Number(minutesBefore);
+  if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_EVENT_REMINDER_MINUTES)) {
+    throw new Error(`Invalid reminder time. Must be between 0 and ${MAX_EVENT_REMINDER_MINUTES} minutes before.`);
+  }
+  
+  const data = await chrome.storage.local.get(['upcomingEvents', EVENT_REMINDERS_STORAGE_KEY]);
+  const events = data.upcomingEvents || [];
+  const event = events.find(e => e.id === eventId);
+  if (!event) {
+    throw new Error(`Event not found: ${eventId}`);
+  }
+  
+  // Drop overrides for meetings that are already over
+  const now = Date.now();
+  const eventReminders = Object.fromEntries(
+    Object.entries(data[EVENT_REMINDERS_STORAGE_KEY] || {}).filter(([, reminder]) => reminder.until > now)
+  );
+  
+  if (minutes === null) {
+    delete eventReminders[eventId];
+  } else {
+    const endTime = parseEventTime(event.end?.dateTime || event.end?.date || event.start.dateTime || event.start.date).getTime();
+    eventReminders[eventId] = { minutesBefore: minutes, until: endTime };
+  }
+  
+  await chrome.storage.local.set({ [EVENT_REMINDERS_STORAGE_KEY]: eventReminders });
+  console.log(`Custom ring time for "${event.summary || eventId}":`, minutes === null ? 'default' : `${minutes} min before`);
+  
+  // Reflect the change in the stored events and move the alarm right away
+  await processUpcomingEvents(events);
+}
+
+/**
+ * Get the user's preferences for the recurring series an event belongs to
+ * @param {Object} event - Calendar event
+ * @param {Object} settings - User settings
+ * @returns {Object} Series preferences ({muted, notificationTiming}), empty for one-off events
+ */
+function getSeriesPreferences(event, settings = {}) {
+  if (!event?.recurringEventId) return {};
+  return settings.seriesPreferences?.[event.recurringEventId] || {};
+}
+
+/**
+ * Get the user's preferences for a single meeting occurrence
+ * @param {Object} event - Calendar event
+ * @param {Object} settings - User settings
+ * @returns {Object} Meeting preferences ({muted, notifyOnly}), empty if none are set
+ */
+function getMeetingPreferences(event, settings = {}) {
+  if (!event?.id) return {};
+  return settings.meetingPreferences?.[event.id] || {};
+}
+
+/**
+ * Get the popup reminder set in Google Calendar for an event
+ * Uses the event's own reminders, or its calendar's defaults when the event
+ * follows them. With several popup reminders, the one closest to the start wins.
+ * @param {Object} event - Calendar event (tagged with calendarDefaultReminders)
+ * @returns {number|null} Minutes before the start, or null if there is no popup reminder
+ */
+function getCalendarReminderMinutes(event) {
+  if (!event) return null;
+  
+  const reminders = event.reminders?.useDefault === false
+    ? event.reminders.overrides || []
+    : event.calendarDefaultReminders || [];
+  
+  const popupMinutes = reminders
+    .filter(reminder => reminder.method === 'popup' && typeof reminder.minutes === 'number')
+    .map(reminder => reminder.minutes);
+  
+  return popupMinutes.length > 0 ? Math.min(...popupMinutes) : null;
+}
+
+/**
+ * Get how many seconds before an event's start it should ring
+ * A custom ring time set for the event itself wins over the one for its series,
+ * which wins over the matching rule's,
+ * which wins over the Google Calendar reminder (when that timing mode is on),
+ * which wins over the global setting.
+ * @param {Object} event - Calendar event
+ * @param {Object} settings - User settings (notificationTiming is in seconds)
+ * @param {Object|null} [rule] - Ring rule matching the event
+ * @returns {number} Lead time in seconds
+ */
+function getRingLeadSeconds(event, settings = {}, rule = findMatchingRule(event, settings.ringRules)) {
+  const eventReminder = event ? settings.eventReminders?.[event.id] : null;
+  if (eventReminder && Number.isInteger(eventReminder.minutesBefore)) return eventReminder.minutesBefore * 60;
+  
+  const seriesTiming = parseInt(getSeriesPreferences(event, settings).notificationTiming, 10);
+  if (!isNaN(seriesTiming) && seriesTiming >= 0) return seriesTiming;
+  
+  const ruleTiming = parseInt(rule?.notificationTiming, 10);
+  if (!isNaN(ruleTiming) && ruleTiming >= 0) return ruleTiming;
+  
+  if (settings.timingMode === 'calendar') {
+    const reminderMinutes = getCalendarReminderMinutes(event);
+    if (reminderMinutes !== null) return reminderMinutes * 60;
+  }
+  
+  const timing = parseInt(settings.notificationTiming, 10);
+  return isNaN(timing) || timing < 0 ? DEFAULT_NOTIFICATION_TIMING : timing;
+}
+
+/**
+ * Decide how an event rings
+ * The user's mute and notification-only choices for the meeting or its series
+ * come first, then the first matching ring rule. With no rule, accepted
+ * meetings ring and tentative or unanswered ones are ignored.
+ * @param {Object} event - Calendar event
+ * @param {Object} settings - User settings
+ * @returns {{action: string, leadSeconds: number, ringtone: string, stages: Array, rule: Object|null}}
+ *   action is 'ring', 'notify' or 'ignore'; stages are the reminders due before the ring
+ */
+function getRingBehavior(event, settings = {}) {
+  const meetingPrefs = getMeetingPreferences(event, settings);
+  const seriesPrefs = getSeriesPreferences(event, settings);
+  const rule = findMatchingRule(event, settings.ringRules);
+  
+  let action;
+  if (meetingPrefs.muted || seriesPrefs.muted) {
+    action = 'ignore';
+  } else if (meetingPrefs.notifyOnly) {
+    action = 'notify';
+  } else if (rule) {
+    action = rule.action;
+  } else {
+    action = getResponseStatus(event) === 'accepted' ? 'ring' : 'ignore';
+  }
+  
+  const leadSeconds = getRingLeadSeconds(event, settings, rule);
+  
+  // A rule's own reminder stages replace the global ones; stages at or after the ring are dropped
+  const stages = (rule?.reminderStages ?? settings.reminderStages ?? [])
+    .filter(stage => stage.minutesBefore * 60 > leadSeconds);
+  
+  return {
+    action,
+    leadSeconds,
+    ringtone: rule?.ringtone || settings.ringtone || 'classic',
+    stages: action === 'ignore' ? [] : stages,
+    rule
+  };
+}
+
+// Fetch upcoming calendar events from every monitored calendar
 async function fetchUpcomingEvents() {
   let allEvents = [];
-  let nextPageToken = null;
-  let pageCount = 0;
-  const MAX_PAGES = 5; // Safety limit to prevent infinite loops
   let token;
   
   try {
@@ -745,83 +1026,97 @@ async function fetchUpcomingEvents() {
     }
     token = authResult.token;
     
-    // Calculate time range for API query (next 24 hours)
-    const now = new Date();
-    const timeMin = now.toISOString();
-    const future = new Date(now);
-    future.setDate(now.getDate() + 1); // Look ahead 24 hours
-    const timeMax = future.toISOString();
-    
-    console.log(`Fetching calendar events from ${timeMin} to ${timeMax}`);
-    
-    // Process pages until we have all events or hit the max page limit
-    do {
-      // Build URL with pagination token if we have one
-      let url = `https://www.googleapis.com/calendar/v3/calendars/primary/events?` +
-                `timeMin=${encodeURIComponent(timeMin)}&timeMax=${encodeURIComponent(timeMax)}` +
-                `&singleEvents=true&orderBy=startTime&maxResults=100`;
-      
-      if (nextPageToken) {
-        url += `&pageToken=${encodeURIComponent(nextPageToken)}`;
-        console.log(`Fetching additional page ${pageCount + 1} of calendar events`);
+    // Work out which calendars to poll, falling back to the last known list if the lookup fails
+    let calendars;
+    try {
+      calendars = await fetchCalendarList(token);
+    } catch (listError) {
+      if (listError.message === 'token_expired') {
+        throw listError;
       }
-      
+      console.warn('Could not fetch calendar list, using cached list:', listError.message);
+      const stored = await chrome.storage.local.get(CALENDAR_LIST_STORAGE_KEY);
+      calendars = stored[CALENDAR_LIST_STORAGE_KEY] || [];
+    }
+    
+    if (calendars.length === 0) {
+      calendars = [{ id: 'primary', summary: 'Primary', primary: true }];
+    }
+    
+    const settings = await getUserSettings();
+    const monitoredCalendars = getMonitoredCalendars(calendars, settings);
+    
+    console.log(`Syncing calendar events across ${monitoredCalendars.length} calendars`);
+    
+    // Forget sync state for calendars that were switched off
+    await calendarSync.pruneCalendars(monitoredCalendars.map(calendar => calendar.id));
+    
+    // Merge events from each calendar, tagging them with their source.
+    // The same event can appear on several calendars, so keep only the first copy.
+    const seenEventIds = new Set();
+    let failedCalendars = 0;
+    let lastCalendarError = null;
+    
+    for (const calendar of monitoredCalendars) {
       try {
-        // Make API call with retry logic
-        const response = await fetchWithRetry(url, token);
-        const data = await response.json();
-        
-        pageCount++;
-        
-        // Process the current page of results
-        if (data.items && data.items.length > 0) {
-          allEvents = allEvents.concat(data.items);
-          console.log(`Added ${data.items.length} events from page ${pageCount}, total: ${allEvents.length}`);
-        }
+        // Only changes since the last poll are downloaded once a sync token is stored
+        const calendarEvents = await calendarSync.syncCalendar(calendar.id, fetchWithRetry, token);
         
-        // Get the next page token if available
-        nextPageToken = data.nextPageToken || null;
-        
-      } catch (error) {
-        console.error('Error fetching calendar events page:', error);
-        
-        // If we've already retried multiple times, give up
-        if (pageCount >= MAX_PAGES) {
-          throw new Error(`Failed to fetch calendar events after ${pageCount} attempts: ${error.message}`);
+        calendarEvents.forEach(event => {
+          if (seenEventIds.has(event.id)) return;
+          seenEventIds.add(event.id);
+          allEvents.push({
+            ...event,
+            calendarId: calendar.id,
+            calendarSummary: calendar.summary,
+            calendarDefaultReminders: calendar.defaultReminders || []
+          });
+        });
+      } catch (calendarError) {
+        if (calendarError.message === 'token_expired') {
+          throw calendarError;
         }
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // One unreadable shared calendar shouldn't stop the others from ringing
+        console.warn(`Skipping calendar ${calendar.id}:`, calendarError.message);
+        logError(calendarError, 'calendar_fetch_single');
+        failedCalendars++;
+        lastCalendarError = calendarError;
       }
-      
-    } while (nextPageToken && pageCount < MAX_PAGES);
+    }
     
-    if (pageCount >= MAX_PAGES && nextPageToken) {
-      console.warn(`Reached maximum page limit (${MAX_PAGES}). Some events may not be processed.`);
+    if (monitoredCalendars.length > 0 && failedCalendars === monitoredCalendars.length) {
+      throw lastCalendarError;
     }
     
-    // If we didn't find any events at all
+    // Even with no events we still reconcile, so alarms for cancelled meetings are cleared
     if (allEvents.length === 0) {
       console.log('No upcoming events found');
-      return [];
+    } else {
+      console.log(`Successfully fetched ${allEvents.length} calendar events`);
     }
     
-    // Process all the events we found
-    console.log(`Successfully fetched ${allEvents.length} calendar events`);
-    
-    // Filter for events with Google Meet links
-    const eventsWithMeet = allEvents.filter(event => {
+    // Filter for events with a video meeting link, attaching the extracted link to each
+    const eventsWithMeet = allEvents.map(event => {
+      try {
+        return { ...event, conference: extractConferenceLink(event) };
+      } catch (linkError) {
+        console.warn('Could not extract conference link:', linkError.message, event.id || 'unknown ID');
+        return { ...event, conference: null };
+      }
+    }).filter(event => {
       try {
-        // Check if user has accepted the event
-        const selfAttendee = event.attendees?.find(attendee => attendee.self);
-        const hasAccepted = !selfAttendee || selfAttendee.responseStatus === 'accepted';
+        // Cancelled events never ring
+        if (event.status === 'cancelled') {
+          return false;
+        }
+        
+        // Declined events never ring; tentative and unanswered ones are left to the ring rules
+        const hasDeclined = getResponseStatus(event) === 'declined';
         
-        // Check for Google Meet link
-        const hasMeetLink = event.hangoutLink || 
-                           (event.conferenceData?.conferenceId && 
-                            event.conferenceData?.conferenceSolution?.name === 'Google Meet');
+        // Check for a Meet, Zoom, Teams or Webex link
+        const hasMeetLink = !!event.conference;
                             
-        return hasAccepted && hasMeetLink;
+        return !hasDeclined && hasMeetLink;
       } catch (eventError) {
         // Handle malformed events gracefully
         console.warn('Skipping malformed event:', eventError.message, event.id || 'unknown ID');
@@ -830,7 +1125,7 @@ async function fetchUpcomingEvents() {
       }
     });
     
-    console.log(`Found ${eventsWithMeet.length} upcoming events with Google Meet links`);
+    console.log(`Found ${eventsWithMeet.length} upcoming events with video meeting links`);
     await processUpcomingEvents(eventsWithMeet);
     return eventsWithMeet;
     
@@ -892,175 +1187,622 @@ async function fetchUpcomingEvents() {
     } catch (storageError) {
       console.error('Error updating last fetch time:', storageError);
     }
+    
+    // Adjust the polling rate to the new proximity of the next meeting
+    await updatePollingSchedule();
   }
 }
 
 // Process the list of upcoming events
-function processUpcomingEvents(events) {
+async function processUpcomingEvents(events) {
   // Enhanced event processing with better logging
   console.log(`Processing ${events.length} upcoming events`);
   
-  // Handle recurring events more intelligently
-  // Group events by their recurring event ID if available
-  const groupedEvents = {};
-  const nonRecurringEvents = [];
+  const settings = await getRingSettings();
   
-  events.forEach(event => {
-    // Check if it's part of a recurring series
-    if (event.recurringEventId) {
-      if (!groupedEvents[event.recurringEventId]) {
-        groupedEvents[event.recurringEventId] = [];
-      }
-      groupedEvents[event.recurringEventId].push(event);
-    } else {
-      nonRecurringEvents.push(event);
-    }
+  // Every occurrence rings on its own, including several from the same recurring series
+  const sortedEvents = [...events].sort((a, b) => {
+    const aTime = parseEventTime(a.start.dateTime || a.start.date).getTime();
+    const bTime = parseEventTime(b.start.dateTime || b.start.date).getTime();
+    return aTime - bTime;
+  }).map(event => {
+    // Record which rule and custom ring time apply so the popup can show them
+    const rule = findMatchingRule(event, settings.ringRules);
+    return {
+      ...event,
+      matchedRule: rule ? { id: rule.id, name: rule.name, action: rule.action } : null,
+      customReminderMinutes: settings.eventReminders[event.id]?.minutesBefore ?? null
+    };
   });
   
-  // Log recurring event stats if any found
-  const recurringSeriesCount = Object.keys(groupedEvents).length;
-  if (recurringSeriesCount > 0) {
-    console.log(`Found ${recurringSeriesCount} recurring meeting series`);
-    
-    // For each recurring series, ensure we only process the next occurrence
-    Object.values(groupedEvents).forEach(seriesEvents => {
-      // Sort by start time (earliest first)
-      seriesEvents.sort((a, b) => {
-        const aTime = new Date(a.start.dateTime || a.start.date).getTime();
-        const bTime = new Date(b.start.dateTime || b.start.date).getTime();
-        return aTime - bTime;
-      });
-      
-      // Add only the next occurrence to our non-recurring list
-      if (seriesEvents.length > 0) {
-        nonRecurringEvents.push(seriesEvents[0]);
-      }
-    });
+  await chrome.storage.local.set({ upcomingEvents: sortedEvents });
+  upcomingMeetings = sortedEvents;
+  console.log(`Stored ${sortedEvents.length} events`);
+  
+  // Close out calls nobody answered before working out what still has to ring
+  const missedCalls = await callHistory.markStaleAsMissed();
+  if (missedCalls.length > 0) {
+    console.log(`Marked ${missedCalls.length} unanswered calls as missed`);
   }
   
-  // Store all the processed events (next occurrence of recurring + non-recurring) 
-  chrome.storage.local.set({ upcomingEvents: nonRecurringEvents });
-  console.log(`Stored ${nonRecurringEvents.length} events (after recurring event processing)`);
+  // Bring the ring alarms in line with what is now on the calendar
+  await reconcileEventAlarms(sortedEvents, settings);
+  await updateActionBadge();
   
-  // Set alarms for events that are coming up soon
-  const now = new Date();
+  // Not awaited: photo downloads shouldn't hold up the ring schedule
+  refreshCallerIds(sortedEvents, settings);
+}
+
+/**
+ * Cache the names and photos of the people in meetings starting soon
+ * so the call overlay can show the organizer as the caller, even offline
+ * @param {Array} events - Upcoming events
+ * @param {Object} settings - User settings
+ */
+async function refreshCallerIds(events, settings) {
+  if (!settings.callerPhotos) return;
   
-  nonRecurringEvents.forEach(event => {
-    const startTime = new Date(event.start.dateTime || event.start.date);
-    const minutesUntilEvent = (startTime - now) / (1000 * 60);
+  try {
+    const soon = Date.now() + CALLER_ID_LOOKAHEAD_MINUTES * 60000;
+    const emails = events
+      .filter(event => parseEventTime(event.start.dateTime || event.start.date).getTime() <= soon)
+      .flatMap(event => getEventPeople(event));
+    
+    const lookedUp = await callerIdCache.refresh([...new Set(emails)]);
+    if (lookedUp > 0) {
+      console.log(`Looked up caller ID for ${lookedUp} people`);
+    }
+  } catch (error) {
+    console.error('Error refreshing caller ID:', error);
+  }
+}
+
+/**
+ * Diff the desired ring schedule against the scheduled alarms and fix it up
+ * Creates alarms for new events, moves alarms for rescheduled events and
+ * deletes alarms for events that were cancelled or no longer qualify.
+ * Alarms for events that have already rung are left alone, since those are snoozes.
+ * @param {Array} events - Events that should ring
+ * @param {Object} settings - User settings, for the ring lead time, mutes and rules
+ */
+async function reconcileEventAlarms(events, settings) {
+  const now = Date.now();
+  
+  // Events that have already rung, according to the call history
+  const processedIds = await callHistory.getRungEventIds();
+  
+  // Desired ring time for every event that hasn't rung yet and isn't muted or ignored by a rule.
+  // All-day events have no time to ring at, so they never ring and are treated as muted.
+  const desiredAlarms = new Map();
+  const mutedIds = new Set();
+  events.forEach(event => {
+    const behavior = getRingBehavior(event, settings);
+    if (behavior.action === 'ignore' || !event.start.dateTime) {
+      mutedIds.add(event.id);
+      return;
+    }
+    if (processedIds.has(event.id)) return;
     
-    // If event is within call trigger threshold and doesn't have an alarm yet
-    if (minutesUntilEvent <= EVENT_TRIGGER_THRESHOLD) {
-      const alarmName = `eventReminder_${event.id}`;
-      
-      // Check if we already have an alarm for this
-      chrome.alarms.get(alarmName, alarm => {
-        if (!alarm) {
-          // Calculate when to trigger the alarm (30 seconds before event)
-          const alarmTime = new Date(startTime);
-          alarmTime.setSeconds(alarmTime.getSeconds() - 30);
-          
-          // Only set alarm if it's in the future
-          if (alarmTime > now) {
-            console.log(`Setting alarm for "${event.summary || 'Unnamed meeting'}" at ${alarmTime.toLocaleTimeString()}`);
-            chrome.alarms.create(alarmName, { when: alarmTime.getTime() });
-          } else {
-            // Event is happening now or very soon, trigger immediately
-            console.log(`Event "${event.summary || 'Unnamed meeting'}" starting now, triggering immediately`);
-            triggerCallOverlay(event.id);
-          }
-        }
+    const startTime = parseEventTime(event.start.dateTime).getTime();
+    desiredAlarms.set(`${EVENT_ALARM_PREFIX}${event.id}`, {
+      event,
+      when: startTime - behavior.leadSeconds * 1000
+    });
+    
+    // Heads-up reminders before the ring
+    behavior.stages.forEach(stage => {
+      desiredAlarms.set(getStageAlarmName(stage, event.id), {
+        event,
+        stage,
+        when: startTime - stage.minutesBefore * 60000
       });
-    }
+    });
   });
+  
+  const eventIds = new Set(events.map(event => event.id));
+  const existingAlarms = (await chrome.alarms.getAll())
+    .filter(alarm => alarm.name.startsWith(EVENT_ALARM_PREFIX) || alarm.name.startsWith(STAGE_ALARM_PREFIX));
+  
+  let removed = 0;
+  let moved = 0;
+  let created = 0;
+  
+  for (const alarm of existingAlarms) {
+    const stageAlarm = parseStageAlarmName(alarm.name);
+    const eventId = stageAlarm ? stageAlarm.eventId : alarm.name.slice(EVENT_ALARM_PREFIX.length);
+    const desired = desiredAlarms.get(alarm.name);
+    
+    if (!eventIds.has(eventId) || mutedIds.has(eventId)) {
+      // Cancelled, declined, muted, removed from a monitored calendar or moved out of the window
+      await chrome.alarms.clear(alarm.name);
+      removed++;
+    } else if (desired && Math.abs(alarm.scheduledTime - desired.when) < 1000) {
+      // Already scheduled at the right time
+      desiredAlarms.delete(alarm.name);
+    } else if (desired) {
+      // Event was moved; the alarm is recreated below at the new time
+      await chrome.alarms.clear(alarm.name);
+      moved++;
+    } else if (stageAlarm) {
+      // Stage no longer configured, or the meeting has already rung
+      await chrome.alarms.clear(alarm.name);
+      removed++;
+    }
+  }
+  
+  for (const [alarmName, { event, stage, when }] of desiredAlarms) {
+    const title = event.summary || 'Unnamed meeting';
+    
+    if (when > now) {
+      console.log(`Setting alarm for "${title}" at ${new Date(when).toLocaleTimeString()}`);
+      await chrome.alarms.create(alarmName, { when });
+      created++;
+    } else if (!stage && now - when <= RING_GRACE_MINUTES * 60000) {
+      // Ring time has only just passed, trigger immediately. Meetings whose ring time went
+      // by longer ago (after an install or a browser restart) don't ring.
+      console.log(`Event "${title}" starting now, triggering immediately`);
+      await triggerCallOverlay(event.id);
+    }
+  }
+  
+  console.log(`Reconciled ring alarms: ${created} scheduled, ${moved} moved, ${removed} removed`);
 }
 
 // Trigger the call overlay for a specific event
-function triggerCallOverlay(eventId) {
+// A poll can come in while the event's ring alarm is still being handled, before
+// the call history shows it rang, so a trigger already under way is not repeated
+async function triggerCallOverlay(eventId) {
+  if (triggersInProgress.has(eventId)) {
+    console.log(`Event ${eventId} is already being triggered, ignoring`);
+    return;
+  }
+  triggersInProgress.add(eventId);
+  
   try {
-    chrome.storage.local.get(['upcomingEvents', 'processedEvents', 'settings'], data => {
+    const data = await chrome.storage.local.get(['upcomingEvents', 'userSettings', EVENT_REMINDERS_STORAGE_KEY]);
+    const event = data.upcomingEvents?.find(e => e.id === eventId);
+    const settings = data.userSettings || { autoJoin: false, ringtone: 'classic' };
+    const ringSettings = { ...settings, eventReminders: data[EVENT_REMINDERS_STORAGE_KEY] || {} };
+    const behavior = event ? getRingBehavior(event, ringSettings) : null;
+    
+    // A snoozed meeting rings again; one that rang for any other reason doesn't
+    const latestOutcome = await callHistory.getLatestOutcome(eventId);
+    
+    // Make sure event exists, isn't muted or ignored and hasn't been processed yet
+    if (event && behavior.action !== 'ignore' && (latestOutcome === null || latestOutcome === 'snoozed')) {
+      console.log(`Triggering call overlay for event: ${event.summary || 'Unnamed meeting'}`);
+      
+      // 'overlay' is the call window plus a notification, 'overlayOnly' the window alone,
+      // 'notification' a notification alone (also used when the user or a rule asked for notify only)
+      const deliveryMode = behavior.action === 'notify' ? 'notification' : settings.deliveryMode || 'overlay';
+      
+      // A call window set to ring until the meeting ends isn't missed before then
+      const escalation = settings.escalation || DEFAULT_ESCALATION;
+      const ringsUntil = deliveryMode !== 'notification' && escalation.ringUntilEnd
+        ? new Date(getRingEndTime(escalation, event.end?.dateTime || event.end?.date)).toISOString()
+        : null;
+      
+      // Open a call history entry, which also prevents duplicate rings
+      const historyEntry = await callHistory.recordRing(event, deliveryMode, ringsUntil);
+      
+      const meetingDetails = await getMeetingDetails(event, settings, behavior);
+      
+      if (deliveryMode === 'notification') {
+        console.log(`Event ${eventId} is delivered as a notification only, not opening call overlay`);
+        showMeetingNotification(eventId, meetingDetails, true);
+        return;
+      }
+      
+      // Open call overlay window
+      let overlayWindow;
       try {
-        const event = data.upcomingEvents?.find(e => e.id === eventId);
-        const processedEvents = data.processedEvents || [];
-        const settings = data.settings || { autoJoin: false, ringtone: 'default' };
-        
-        // Make sure event exists and hasn't been processed yet
-        if (event && !processedEvents.includes(eventId)) {
-          console.log(`Triggering call overlay for event: ${event.summary || 'Unnamed meeting'}`);
-          
-          // Add to processed events to prevent duplicate notifications
-          processedEvents.push(eventId);
-          chrome.storage.local.set({ processedEvents });
-          
-          // Extract meeting details
-          const meetingDetails = {
-            id: event.id,
-            title: event.summary || 'Unnamed meeting',
-            startTime: event.start.dateTime || event.start.date,
-            meetLink: event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri,
-            attendees: event.attendees || [],
-            location: event.location || '',
-            description: event.description || '',
-            settings: settings
-          };
-          
-          // Ensure we have a valid meeting link
-          if (!meetingDetails.meetLink) {
-            console.warn('Event has no valid meeting link:', eventId);
-            meetingDetails.meetLink = ''; // Provide empty string as fallback
-          }
-          
-          // Open call overlay window
-          chrome.windows.create({
-            url: `call-overlay/overlay.html?meeting=${encodeURIComponent(JSON.stringify(meetingDetails))}`,
-            type: 'popup',
-            width: 500,
-            height: 700
-          }, (window) => {
-            if (chrome.runtime.lastError) {
-              console.error('Failed to open call overlay window:', chrome.runtime.lastError);
-              // Make sure notification is shown as fallback
-              showMeetingNotification(eventId, meetingDetails);
-            } else {
-              console.log('Call overlay window opened successfully');
-            }
-          });
-          
-          // Always show notification even if window opens (belt and suspenders approach)
-          showMeetingNotification(eventId, meetingDetails);
-        } else if (!event) {
-          console.warn(`Cannot find event details for ID: ${eventId}`);
-        } else {
-          console.log(`Event ${eventId} has already been processed, ignoring`);
-        }
-      } catch (overlayError) {
-        console.error('Error in triggerCallOverlay:', overlayError);
-        logError(overlayError, 'call_overlay');
+        overlayWindow = await chrome.windows.create({
+          url: `call-overlay/overlay.html?meeting=${encodeURIComponent(JSON.stringify(meetingDetails))}`,
+          type: 'popup',
+          width: 500,
+          height: 700
+        });
+      } catch (windowError) {
+        console.error('Failed to open call overlay window:', windowError);
+        // Fall back to the notification so the meeting isn't missed
+        showMeetingNotification(eventId, meetingDetails, true);
+        return;
+      }
+      
+      console.log('Call overlay window opened successfully');
+      try {
+        await callHistory.setWindowId(historyEntry.id, overlayWindow.id);
+      } catch (historyError) {
+        console.error('Failed to record the call window in the call history:', historyError);
+      }
+      
+      if (deliveryMode === 'overlay') {
+        showMeetingNotification(eventId, meetingDetails);
+      }
+    } else if (!event) {
+      console.warn(`Cannot find event details for ID: ${eventId}`);
+    } else if (behavior.action === 'ignore') {
+      console.log(`Event ${eventId} is muted or ignored by a rule, ignoring`);
+    } else {
+      console.log(`Event ${eventId} has already been processed, ignoring`);
+    }
+  } catch (overlayError) {
+    console.error('Error in triggerCallOverlay:', overlayError);
+    logError(overlayError, 'call_overlay');
+  } finally {
+    triggersInProgress.delete(eventId);
+  }
+}
+
+/**
+ * Collect what the call overlay and the meeting notification show about an event
+ * @param {Object} event - Calendar event
+ * @param {Object} settings - User settings
+ * @param {Object} behavior - Ring behavior from getRingBehavior
+ * @returns {Promise<Object>} Meeting details, passed to the overlay in its URL
+ */
+async function getMeetingDetails(event, settings, behavior) {
+  const meetingDetails = {
+    id: event.id,
+    title: event.summary || 'Unnamed meeting',
+    ...getEventTimeDetails(event), // startTime, endTime, allDay, timeZone, durationMinutes
+    organizer: event.organizer || null, // shown as the caller
+    meetLink: event.conference?.url || event.hangoutLink,
+    provider: event.conference?.provider || 'meet',
+    providerName: event.conference?.providerName || 'Google Meet',
+    passcode: event.conference?.passcode || null,
+    attendees: event.attendees || [],
+    location: event.location || '',
+    description: event.description || '',
+    settings: { ...settings, ringtone: behavior.ringtone },
+    snooze: await getSnoozeDetails(event, settings)
+  };
+  
+  // Ensure we have a valid meeting link
+  if (!meetingDetails.meetLink) {
+    console.warn('Event has no valid meeting link:', event.id);
+    meetingDetails.meetLink = ''; // Provide empty string as fallback
+  }
+  
+  return meetingDetails;
+}
+
+/**
+ * Escalate a call that has rung for a while without an answer
+ * The call overlay turns its own volume up and asks for the rest here:
+ * bringing its window to the front and firing the notification again.
+ * @param {string} eventId - Calendar event ID
+ */
+async function escalateCall(eventId) {
+  if (await callHistory.getLatestOutcome(eventId) !== 'ringing') return;
+  
+  const settings = await getRingSettings();
+  const escalation = settings.escalation || DEFAULT_ESCALATION;
+  
+  if (escalation.refocus) {
+    const windowId = await findOverlayWindow(eventId);
+    if (windowId !== null) {
+      await chrome.windows.update(windowId, { focused: true, drawAttention: true });
+    }
+  }
+  
+  if (escalation.renotify) {
+    const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+    const event = upcomingEvents.find(e => e.id === eventId);
+    if (event) {
+      // Clearing first makes the notification alert again instead of updating silently
+      await chrome.notifications.clear(`${MEETING_NOTIFICATION_PREFIX}${eventId}`);
+      showMeetingNotification(eventId, await getMeetingDetails(event, settings, getRingBehavior(event, settings)));
+    }
+  }
+  
+  console.log(`Escalated unanswered call for ${eventId}`);
+}
+
+/**
+ * Give a heads-up reminder for an upcoming meeting ahead of the full ring
+ * @param {string} eventId - Calendar event ID
+ * @param {Object} stage - Reminder stage ({type, minutesBefore})
+ */
+async function triggerReminderStage(eventId, stage) {
+  try {
+    const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+    const event = upcomingEvents.find(e => e.id === eventId);
+    const rungIds = await callHistory.getRungEventIds();
+    const settings = await getRingSettings();
+    
+    if (!event) {
+      console.warn(`Cannot find event details for reminder stage: ${eventId}`);
+      return;
+    }
+    
+    if (rungIds.has(eventId) || getRingBehavior(event, settings).action === 'ignore') {
+      console.log(`Skipping reminder stage for ${eventId}, meeting is muted or has already rung`);
+      return;
+    }
+    
+    const title = event.summary || 'Unnamed meeting';
+    console.log(`Reminder stage (${stage.type}, ${stage.minutesBefore} min) for "${title}"`);
+    
+    chrome.notifications.create(`stage_${stage.minutesBefore}_${eventId}`, {
+      type: 'basic',
+      iconUrl: '/assets/icons/icon128.png',
+      title: stage.minutesBefore === 1 ? 'Meeting in 1 minute' : `Meeting in ${stage.minutesBefore} minutes`,
+      message: title,
+      silent: true,
+      priority: 0
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Reminder notification creation failed:', chrome.runtime.lastError);
       }
     });
+    
+    if (stage.type === 'chime') {
+      await ensureOffscreenDocument();
+      await chrome.runtime.sendMessage({ target: 'offscreen', action: 'playChime' });
+    }
+  } catch (error) {
+    console.error('Error in triggerReminderStage:', error);
+    logError(error, 'reminder_stage');
+  }
+}
+
+/**
+ * Find the call overlay window that is ringing for an event
+ * @param {string} eventId - Calendar event ID
+ * @returns {Promise<number|null>} The window ID, or null if no overlay is open
+ */
+async function findOverlayWindow(eventId) {
+  if (!chrome.runtime.getContexts) return null;
+  
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['TAB'] });
+  const overlay = contexts.find(context => {
+    try {
+      const url = new URL(context.documentUrl);
+      if (!url.pathname.endsWith('/call-overlay/overlay.html')) return false;
+      return JSON.parse(url.searchParams.get('meeting') || '{}').id === eventId;
+    } catch (error) {
+      return false;
+    }
+  });
+  
+  return overlay ? overlay.windowId : null;
+}
+
+/**
+ * Close the ringing surfaces for an event once the call has been handled
+ * @param {string} eventId - Calendar event ID
+ */
+async function closeCallSurfaces(eventId) {
+  chrome.notifications.clear(`${MEETING_NOTIFICATION_PREFIX}${eventId}`);
+  chrome.alarms.clear(`${COUNTDOWN_ALARM_PREFIX}${eventId}`);
+  
+  const windowId = await findOverlayWindow(eventId);
+  if (windowId !== null) {
+    await chrome.windows.remove(windowId);
+  }
+}
+
+/**
+ * Answer a ringing meeting from its notification
+ * @param {string} eventId - Calendar event ID
+ */
+async function joinMeetingFromNotification(eventId) {
+  const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+  const event = upcomingEvents.find(e => e.id === eventId);
+  const meetLink = event?.conference?.url || event?.hangoutLink;
+  
+  await callHistory.recordOutcome(eventId, 'joined');
+  await closeCallSurfaces(eventId);
+  
+  if (meetLink) {
+    await chrome.tabs.create({ url: meetLink, active: true });
+  } else {
+    console.warn('Cannot join, event has no meeting link:', eventId);
+  }
+}
+
+/**
+ * Work out how a ringing meeting can be snoozed
+ * @param {Object} event - Calendar event
+ * @param {Object} settings - User settings
+ * @returns {Promise<{option: string, remaining: number}>} The choice the Snooze
+ *   buttons use and how many more snoozes the meeting is allowed
+ */
+async function getSnoozeDetails(event, settings = {}) {
+  const maxSnoozes = settings.maxSnoozes ?? DEFAULT_MAX_SNOOZES;
+  const snoozeCount = await callHistory.getSnoozeCount(event.id);
+  
+  return {
+    option: resolveSnoozeOption(settings.defaultSnooze, event.start.dateTime || event.start.date),
+    remaining: Math.max(0, maxSnoozes - snoozeCount)
+  };
+}
+
+/**
+ * Snooze a ringing meeting, ringing again later
+ * Used by the notification and the call overlay alike, so the snooze alarm is
+ * always scheduled here and survives the call window closing.
+ * @param {string} eventId - Calendar event ID
+ * @param {string} [option] - One of SNOOZE_OPTIONS, defaults to the user's choice
+ * @returns {Promise<number>} When the meeting will ring again, in ms
+ * @throws {Error} If the meeting can't be snoozed any more or the time has passed
+ */
+async function snoozeMeeting(eventId, option) {
+  const settings = await getUserSettings();
+  const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+  const event = upcomingEvents.find(e => e.id === eventId);
+  if (!event) {
+    throw new Error('Meeting not found');
+  }
+  
+  const snooze = await getSnoozeDetails(event, settings);
+  if (snooze.remaining <= 0) {
+    throw new Error('This meeting has been snoozed too many times');
+  }
+  
+  const when = getSnoozeTime(option || snooze.option, event.start.dateTime || event.start.date);
+  if (when === null) {
+    throw new Error('That snooze time has already passed');
+  }
+  
+  await chrome.alarms.create(`${EVENT_ALARM_PREFIX}${eventId}`, { when });
+  await callHistory.recordOutcome(eventId, 'snoozed');
+  await closeCallSurfaces(eventId);
+  
+  console.log(`Snoozed meeting ${eventId} until ${new Date(when).toLocaleTimeString()}`);
+  return when;
+}
+
+/**
+ * Decline a ringing meeting from its notification
+ * @param {string} eventId - Calendar event ID
+ */
+async function declineMeetingFromNotification(eventId) {
+  await callHistory.recordOutcome(eventId, 'declined');
+  await closeCallSurfaces(eventId);
+}
+
+/**
+ * Handle a button on a meeting or missed call notification
+ * @param {string} notificationId - Notification ID
+ * @param {number} buttonIndex - 0 for Join, 1 for Dismiss (missed calls only have Join)
+ */
+async function handleNotificationButton(notificationId, buttonIndex) {
+  if (notificationId.startsWith(MISSED_NOTIFICATION_PREFIX)) {
+    await rejoinMissedCall(notificationId.slice(MISSED_NOTIFICATION_PREFIX.length));
+    return;
+  }
+  if (!notificationId.startsWith(MEETING_NOTIFICATION_PREFIX)) return;
+  
+  const eventId = notificationId.slice(MEETING_NOTIFICATION_PREFIX.length);
+  try {
+    if (buttonIndex === 0) {
+      await joinMeetingFromNotification(eventId);
+    } else if (buttonIndex === 1) {
+      await declineMeetingFromNotification(eventId);
+    }
   } catch (error) {
-    console.error('Critical error in triggerCallOverlay:', error);
-    logError(error, 'call_overlay_critical');
+    console.error('Error handling notification button:', error);
+    logError(error, 'notification_button');
   }
 }
 
+/**
+ * Handle a click on the body of a meeting notification
+ * Brings the ringing call overlay to the front, where the call can be snoozed;
+ * without a call window, the click snoozes the meeting.
+ * @param {string} notificationId - Notification ID
+ */
+async function handleNotificationClick(notificationId) {
+  if (notificationId.startsWith(MISSED_NOTIFICATION_PREFIX)) {
+    await rejoinMissedCall(notificationId.slice(MISSED_NOTIFICATION_PREFIX.length));
+    return;
+  }
+  if (!notificationId.startsWith(MEETING_NOTIFICATION_PREFIX)) return;
+  
+  const eventId = notificationId.slice(MEETING_NOTIFICATION_PREFIX.length);
+  try {
+    const windowId = await findOverlayWindow(eventId);
+    if (windowId !== null) {
+      await chrome.windows.update(windowId, { focused: true, drawAttention: true });
+    } else if (await callHistory.getLatestOutcome(eventId) === 'ringing') {
+      await snoozeMeeting(eventId);
+    }
+  } catch (error) {
+    console.error('Error handling notification click:', error);
+    logError(error, 'notification_click');
+  }
+}
+
+/**
+ * Stop a meeting notification's countdown once it is gone
+ * Clearing the notification (a swipe or "clear all") isn't an answer: the call
+ * window keeps ringing, and a call nobody answers is counted as missed.
+ * Declining is the Dismiss button.
+ * @param {string} notificationId - Notification ID
+ */
+async function handleNotificationClosed(notificationId) {
+  if (!notificationId.startsWith(MEETING_NOTIFICATION_PREFIX)) return;
+  
+  const eventId = notificationId.slice(MEETING_NOTIFICATION_PREFIX.length);
+  try {
+    await chrome.alarms.clear(`${COUNTDOWN_ALARM_PREFIX}${eventId}`);
+  } catch (error) {
+    console.error('Error handling notification close:', error);
+    logError(error, 'notification_closed');
+  }
+}
+
+/**
+ * Describe how long until a meeting starts, for notification countdowns
+ * @param {string} startTime - Meeting start (ISO string or date)
+ * @returns {string} e.g. 'Starts in 3 min', 'Starting now', 'Started 2 min ago'
+ */
+function getCountdownText(startTime) {
+  const minutes = Math.round((parseEventTime(startTime).getTime() - Date.now()) / 60000);
+  
+  if (minutes > 0) {
+    return `Starts in ${minutes} min`;
+  } else if (minutes === 0) {
+    return 'Starting now';
+  }
+  return `Started ${Math.abs(minutes)} min ago`;
+}
+
+/**
+ * Build the title of a meeting notification, with the countdown to the start
+ * @param {string} startTime - Meeting start (ISO string or date)
+ * @returns {string} e.g. 'Incoming Meeting · Starts in 3 min'
+ */
+function getMeetingNotificationTitle(startTime) {
+  return `Incoming Meeting · ${getCountdownText(startTime)}`;
+}
+
+/**
+ * Build the options for a meeting notification
+ * It stays on screen until handled and shows a countdown to the start.
+ * Join and Dismiss are the buttons. Snoozing is done from the call window, or by
+ * clicking a notification that has no call window, which it then says.
+ * @param {Object} meetingDetails - Meeting details as passed to the overlay
+ * @param {boolean} [standalone] - Whether there is no call window alongside it
+ * @returns {Object} chrome.notifications options
+ */
+function buildMeetingNotification(meetingDetails, standalone = false) {
+  const details = [meetingDetails.providerName];
+  if (meetingDetails.passcode) {
+    details.push(`Passcode ${meetingDetails.passcode}`);
+  }
+  if (standalone && meetingDetails.snooze?.remaining > 0) {
+    details.push(`Click to ${getSnoozeLabel(meetingDetails.snooze.option).toLowerCase()}`);
+  }
+  
+  return {
+    type: 'basic',
+    iconUrl: '/assets/icons/icon128.png',
+    title: getMeetingNotificationTitle(meetingDetails.startTime),
+    message: meetingDetails.title,
+    contextMessage: details.join(' · '),
+    buttons: [{ title: 'Join' }, { title: 'Dismiss' }],
+    priority: 2,
+    requireInteraction: true
+  };
+}
+
 // Helper function to show meeting notification
-function showMeetingNotification(eventId, meetingDetails) {
+function showMeetingNotification(eventId, meetingDetails, standalone = false) {
   try {
-    chrome.notifications.create(`meeting_${eventId}`, {
-      type: 'basic',
-      iconUrl: '/assets/icons/icon128.png',
-      title: 'Incoming Meeting',
-      message: meetingDetails.title,
-      buttons: [
-        { title: 'Join' },
-        { title: 'Dismiss' }
-      ],
-      priority: 2
-    }, (notificationId) => {
+    chrome.notifications.create(`${MEETING_NOTIFICATION_PREFIX}${eventId}`, buildMeetingNotification(meetingDetails, standalone), (notificationId) => {
       if (chrome.runtime.lastError) {
         console.error('Notification creation failed:', chrome.runtime.lastError);
+        return;
       }
+      
+      // Keep the countdown current while the notification is up
+      chrome.alarms.create(`${COUNTDOWN_ALARM_PREFIX}${eventId}`, {
+        delayInMinutes: COUNTDOWN_UPDATE_MINUTES,
+        periodInMinutes: COUNTDOWN_UPDATE_MINUTES
+      });
     });
   } catch (notificationError) {
     console.error('Failed to create notification:', notificationError);
@@ -1068,6 +1810,164 @@ function showMeetingNotification(eventId, meetingDetails) {
   }
 }
 
+/**
+ * Refresh the countdown on a meeting notification
+ * Stops once the notification is gone or the meeting is well under way.
+ * @param {string} eventId - Calendar event ID
+ */
+async function updateNotificationCountdown(eventId) {
+  const alarmName = `${COUNTDOWN_ALARM_PREFIX}${eventId}`;
+  
+  try {
+    const notifications = await chrome.notifications.getAll();
+    const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+    const event = upcomingEvents.find(e => e.id === eventId);
+    const startTime = event ? parseEventTime(event.start.dateTime || event.start.date).getTime() : 0;
+    
+    if (!notifications[`${MEETING_NOTIFICATION_PREFIX}${eventId}`] || !event ||
+        Date.now() > startTime + COUNTDOWN_GRACE_MINUTES * 60000) {
+      await chrome.alarms.clear(alarmName);
+      return;
+    }
+    
+    await chrome.notifications.update(`${MEETING_NOTIFICATION_PREFIX}${eventId}`, {
+      title: getMeetingNotificationTitle(event.start.dateTime || event.start.date)
+    });
+  } catch (error) {
+    console.error('Error updating notification countdown:', error);
+    await chrome.alarms.clear(alarmName);
+  }
+}
+
+/**
+ * Format minutes for the toolbar badge, which fits about four characters
+ * @param {number} minutes - Minutes until the start
+ * @returns {string} e.g. '5m' or '2h'
+ */
+function formatBadgeMinutes(minutes) {
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+/**
+ * Show the next meeting that will ring on the toolbar icon
+ * The badge counts down to the next ringing meeting, changing color as it gets
+ * close, and reads LIVE while one is in progress. Unseen missed calls take the
+ * badge over until the user looks at them; the tooltip always has the details.
+ */
+async function updateActionBadge() {
+  try {
+    const settings = await getRingSettings();
+    const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+    const missedCount = await callHistory.getUnseenMissedCount();
+    const now = Date.now();
+    
+    // Same selection as the ring alarms: timed meetings that aren't ignored
+    const ringingEvents = upcomingEvents.filter(event =>
+      event.start?.dateTime && getRingBehavior(event, settings).action !== 'ignore'
+    );
+    const liveEvent = ringingEvents.find(event => {
+      const end = parseEventTime(event.end?.dateTime);
+      return parseEventTime(event.start.dateTime).getTime() <= now && end !== null && now < end.getTime();
+    });
+    const nextEvent = ringingEvents.find(event => parseEventTime(event.start.dateTime).getTime() > now);
+    
+    let text = '';
+    let color = BADGE_COLORS.later;
+    const titleLines = [ACTION_TITLE];
+    
+    if (liveEvent) {
+      text = 'LIVE';
+      color = BADGE_COLORS.live;
+      titleLines.push(`In progress: ${liveEvent.summary || 'Unnamed meeting'}`);
+    }
+    if (nextEvent) {
+      const minutes = Math.ceil((parseEventTime(nextEvent.start.dateTime).getTime() - now) / 60000);
+      if (!liveEvent) {
+        text = formatBadgeMinutes(minutes);
+        if (minutes <= BADGE_IMMINENT_MINUTES) {
+          color = BADGE_COLORS.imminent;
+        } else if (minutes <= BADGE_SOON_MINUTES) {
+          color = BADGE_COLORS.soon;
+        }
+      }
+      titleLines.push(`Next: ${nextEvent.summary || 'Unnamed meeting'} in ${minutes} min`);
+    }
+    if (missedCount > 0) {
+      text = String(missedCount);
+      color = MISSED_BADGE_COLOR;
+      titleLines.push(missedCount === 1 ? '1 missed call' : `${missedCount} missed calls`);
+    }
+    
+    await chrome.action.setBadgeBackgroundColor({ color });
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setTitle({ title: titleLines.join('\n') });
+  } catch (error) {
+    console.error('Error updating action badge:', error);
+    logError(error, 'action_badge');
+  }
+}
+
+/**
+ * Offer to join a missed call while its meeting is still running
+ * @param {Object} entry - Call history entry that was just marked missed
+ */
+function showMissedCallNotification(entry) {
+  if (!entry.meetLink || !isCallInProgress(entry)) return;
+  
+  chrome.notifications.create(`${MISSED_NOTIFICATION_PREFIX}${entry.eventId}`, {
+    type: 'basic',
+    iconUrl: '/assets/icons/icon128.png',
+    title: 'Missed call',
+    message: `You missed ${entry.title} — still in progress, join now?`,
+    buttons: [{ title: 'Join now' }],
+    priority: 2
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Missed call notification failed:', chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Join a missed call from its follow-up notification
+ * @param {string} eventId - Calendar event ID
+ */
+async function rejoinMissedCall(eventId) {
+  try {
+    chrome.notifications.clear(`${MISSED_NOTIFICATION_PREFIX}${eventId}`);
+    
+    const entry = await callHistory.getLatestEntry(eventId);
+    if (entry?.meetLink && isCallInProgress(entry)) {
+      await chrome.tabs.create({ url: entry.meetLink, active: true });
+    } else {
+      console.log(`Meeting ${eventId} is over, not rejoining`);
+    }
+  } catch (error) {
+    console.error('Error rejoining missed call:', error);
+    logError(error, 'missed_rejoin');
+  }
+}
+
+/**
+ * Follow up on calls that have just been missed and keep the badge count current
+ * Calls are marked missed here, by the call overlay and on restart, so the
+ * follow-up is driven by the stored history rather than by any one of them.
+ * @param {Object} changes - Storage changes
+ * @param {string} areaName - Storage area
+ */
+function handleCallHistoryChange(changes, areaName) {
+  if (areaName !== 'local' || (!changes.callHistory && !changes.missedCallsSeenAt)) return;
+  
+  if (changes.callHistory) {
+    const previous = new Map((changes.callHistory.oldValue || []).map(entry => [entry.id, entry.outcome]));
+    (changes.callHistory.newValue || [])
+      .filter(entry => entry.outcome === 'missed' && previous.has(entry.id) && previous.get(entry.id) !== 'missed')
+      .forEach(showMissedCallNotification);
+  }
+  
+  updateActionBadge();
+}
+
 // This function is now deprecated as we're using authService
 // Kept for reference in case we need to fallback to the old implementation
 async function _legacyGetAuthToken(interactive = false) {
@@ -1111,15 +2011,13 @@ async function _legacyGetAuthToken(interactive = false) {
 chrome.runtime.onInstalled.addListener(details => {
   if (details.reason === 'install') {
     // First time installation
+    // Default settings are owned by SettingsService and stored under userSettings
     chrome.storage.local.set({ 
-      firstRun: true,
-      processedEvents: [],
-      settings: {
-        notificationTiming: 5, // minutes before meeting
-        autoJoin: false,
-        ringtone: 'default'
-      }
+      firstRun: true
     });
+  } else if (details.reason === 'update') {
+    // Replaced by the call history
+    chrome.storage.local.remove('processedEvents');
   }
   
   initialize();
@@ -1136,12 +2034,8 @@ async function setupPollingAlarm() {
     // Clear any existing alarms to prevent duplicates
     await chrome.alarms.clear(CALENDAR_ALARM_NAME);
     
-    // Create a new alarm for polling
-    await chrome.alarms.create(CALENDAR_ALARM_NAME, {
-      periodInMinutes: CALENDAR_POLLING_INTERVAL
-    });
-    
-    console.log(`Calendar polling alarm set to run every ${CALENDAR_POLLING_INTERVAL} minutes`);
+    // Create a new alarm for polling at the rate that fits current conditions
+    await updatePollingSchedule();
   } catch (error) {
     console.error('Failed to set up polling alarm:', error);
     errorTracker.captureException(error, { context: 'setup_polling_alarm' });
@@ -1149,14 +2043,105 @@ async function setupPollingAlarm() {
   }
 }
 
+/**
+ * Recompute the polling interval and move the polling alarm if it changed
+ * Polling speeds up as the next meeting approaches and slows down overnight,
+ * at weekends, while the machine is idle and while on battery.
+ */
+async function updatePollingSchedule() {
+  try {
+    const { upcomingEvents = [], powerState = {} } = await chrome.storage.local.get(['upcomingEvents', 'powerState']);
+    const idleState = chrome.idle ? await chrome.idle.queryState(IDLE_DETECTION_INTERVAL) : 'active';
+    
+    // Find the next meeting that hasn't started yet
+    const now = new Date();
+    const nextMeetingStart = upcomingEvents
+      .map(event => parseEventTime(event.start?.dateTime || event.start?.date))
+      .filter(start => start && start > now)
+      .sort((a, b) => a - b)[0] || null;
+    
+    const { interval, reason } = getPollingSchedule({
+      now,
+      nextMeetingStart,
+      idleState,
+      onBattery: !!powerState.onBattery
+    });
+    
+    currentPollingInterval = interval;
+    currentPollingReason = reason;
+    
+    // Only recreate the alarm when the rate changes, otherwise its countdown would keep resetting
+    const existingAlarm = await chrome.alarms.get(CALENDAR_ALARM_NAME);
+    if (!existingAlarm || existingAlarm.periodInMinutes !== interval) {
+      await chrome.alarms.create(CALENDAR_ALARM_NAME, {
+        delayInMinutes: interval,
+        periodInMinutes: interval
+      });
+      console.log(`Calendar polling alarm set to run every ${interval} minutes (${reason})`);
+    }
+  } catch (error) {
+    console.error('Failed to update polling schedule:', error);
+    logError(error, 'polling_schedule');
+  }
+}
+
+/**
+ * Start watching the signals that drive the polling schedule
+ * Battery status is only exposed to documents, so the offscreen document reports it.
+ */
+async function setupPollingSignals() {
+  if (chrome.idle) {
+    chrome.idle.setDetectionInterval(IDLE_DETECTION_INTERVAL);
+  }
+  
+  await ensureOffscreenDocument();
+}
+
+/**
+ * Make sure the offscreen document is open
+ * Chrome allows a single offscreen document per extension, so this one both
+ * monitors the battery and plays reminder chimes.
+ */
+async function ensureOffscreenDocument() {
+  if (!chrome.offscreen) {
+    return;
+  }
+  
+  try {
+    const existing = chrome.runtime.getContexts
+      ? await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] })
+      : [];
+    
+    if (existing.length === 0) {
+      await chrome.offscreen.createDocument({
+        url: 'offscreen/offscreen.html',
+        reasons: ['BATTERY_STATUS', 'AUDIO_PLAYBACK'],
+        justification: 'Poll the calendar less often on battery and play reminder chimes before meetings'
+      });
+    }
+  } catch (error) {
+    console.warn('Could not open offscreen document:', error.message);
+  }
+}
+
+// Re-evaluate the polling rate when the machine goes idle, locks or becomes active again
+if (chrome.idle) {
+  chrome.idle.onStateChanged.addListener(state => {
+    console.log(`Idle state changed to: ${state}`);
+    updatePollingSchedule();
+  });
+}
+
 /**
  * Poll the calendar for upcoming events
- * This is called both by the polling alarm and when manually refreshing from the popup
+ * This is called both by the polling alarm and when manually refreshing from the popup.
+ * A request made while a poll is running is run once that poll has finished,
+ * so changes it was made for aren't lost.
  */
 async function pollCalendar() {
-  // Skip if already polling
   if (isPolling) {
-    console.log('Calendar polling already in progress, skipping this request');
+    console.log('Calendar polling already in progress, polling again once it finishes');
+    pollQueued = true;
     return;
   }
   
@@ -1201,13 +2186,62 @@ async function pollCalendar() {
       sendStatusUpdateToPopup();
     } finally {
       isPolling = false;
+      
+      if (pollQueued) {
+        pollQueued = false;
+        pollCalendar();
+      }
     }
   }
 }
 
+/**
+ * Apply settings saved in the popup
+ * Only a change to the monitored calendars needs the calendar fetched again;
+ * anything else (mutes, ring rules, timing) reschedules the rings of the
+ * events already fetched.
+ * @param {Object} previousSettings - Settings before the change
+ * @param {Object} settings - Settings after the change
+ */
+async function applySettingsChange(previousSettings, settings) {
+  if (!isAuthenticated) return;
+  
+  try {
+    const calendarsChanged = JSON.stringify(previousSettings.calendarSelection || {}) !==
+      JSON.stringify(settings.calendarSelection || {});
+    
+    if (calendarsChanged) {
+      await pollCalendar();
+    } else {
+      const { upcomingEvents = [] } = await chrome.storage.local.get('upcomingEvents');
+      await processUpcomingEvents(upcomingEvents);
+    }
+  } catch (error) {
+    console.error('Error applying settings change:', error);
+    logError(error, 'settings_updated');
+  }
+}
+
 // Listen for alarm events
 chrome.alarms.onAlarm.addListener(handleAlarm);
 
+// A call window closed without answering is a missed call
+chrome.windows.onRemoved.addListener(windowId => {
+  callHistory.recordWindowClosed(windowId).then(entry => {
+    if (entry) {
+      console.log(`Call window for "${entry.title}" closed without an answer, marked as missed`);
+    }
+  }).catch(error => logError(error, 'call_history'));
+});
+
+// Meeting notifications are a call surface of their own
+chrome.notifications.onButtonClicked.addListener(handleNotificationButton);
+chrome.notifications.onClicked.addListener(handleNotificationClick);
+chrome.notifications.onClosed.addListener(handleNotificationClosed);
+
+// Missed calls update the badge and get a follow-up notification
+chrome.storage.onChanged.addListener(handleCallHistoryChange);
+
 // Set up connection management for popup
 chrome.runtime.onConnect.addListener(port => {
   if (port.name === 'popup') {
@@ -1280,7 +2314,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
       case 'getStatusUpdate':
         // Return current status data
-        authService.isAuthenticated().then(authenticated => {
+        Promise.all([authService.isAuthenticated(), getUserSettings()]).then(([authenticated, settings]) => {
           respond(true, {
             data: {
               authenticated,
@@ -1288,8 +2322,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               lastError,
               upcomingMeetings,
               isPolling,
-              pollInterval: CALENDAR_POLLING_INTERVAL,
-              triggerThreshold: EVENT_TRIGGER_THRESHOLD
+              pollInterval: currentPollingInterval,
+              pollReason: currentPollingReason,
+              triggerThreshold: getRingLeadSeconds(null, settings) / 60,
+              timingMode: settings.timingMode || 'fixed'
             }
           });
         }).catch(error => {
@@ -1337,7 +2373,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
         
       case 'setReminder':
-        if (message.eventId && message.minutesBefore) {
+        // minutesBefore may be 0 (ring at the start) or null (clear the custom time)
+        if (message.eventId && message.minutesBefore !== undefined) {
           setReminderForEvent(message.eventId, message.minutesBefore)
             .then(() => respond(true))
             .catch(error => respond(false, { error: error.message }));
@@ -1346,6 +2383,58 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         respond(false, { error: 'Missing eventId or minutesBefore' });
         return false;
         
+      case 'escalateCall':
+        // The call overlay has rung for a while without an answer
+        if (message.eventId) {
+          escalateCall(message.eventId)
+            .then(() => respond(true))
+            .catch(error => respond(false, { error: error.message }));
+          return true;
+        }
+        respond(false, { error: 'Missing eventId' });
+        return false;
+        
+      case 'recordCallOutcome':
+        // The call overlay was answered or declined; only this worker writes the call history
+        if (message.eventId && message.outcome) {
+          callHistory.recordOutcome(message.eventId, message.outcome)
+            .then(entry => respond(true, { entry }))
+            .catch(error => respond(false, { error: error.message }));
+          return true;
+        }
+        respond(false, { error: 'Missing eventId or outcome' });
+        return false;
+        
+      case 'markMissedCallsSeen':
+        // The popup's Recent calls tab was opened
+        callHistory.markMissedAsSeen()
+          .then(() => respond(true))
+          .catch(error => respond(false, { error: error.message }));
+        return true;
+        
+      case 'enableCallerPhotos':
+        // Asked from here rather than the popup, which closes when the consent window opens
+        callerIdCache.requestAccess()
+          .then(async granted => {
+            respond(true, { granted });
+            if (granted) {
+              await refreshCallerIds(upcomingMeetings, { callerPhotos: true });
+            }
+          })
+          .catch(error => respond(false, { error: error.message }));
+        return true;
+        
+      case 'snoozeMeeting':
+        // The call overlay asks for the snooze, the alarm is scheduled here
+        if (message.eventId) {
+          snoozeMeeting(message.eventId, message.option)
+            .then(snoozeUntil => respond(true, { snoozeUntil }))
+            .catch(error => respond(false, { error: error.message }));
+          return true;
+        }
+        respond(false, { error: 'Missing eventId' });
+        return false;
+        
       case 'needsTokenRefresh':
         console.log('Received token refresh request from service worker at', new Date().toLocaleTimeString());
         // This is sent by the alarm handler in service worker context
@@ -1424,24 +2513,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           });
         return true; // Keep channel open for async response
         
+      case 'batteryStatusChanged':
+        // Reported by the offscreen document's battery monitor
+        chrome.storage.local.set({
+          powerState: {
+            onBattery: message.charging === false,
+            level: message.level,
+            updatedAt: new Date().toISOString()
+          }
+        }).then(() => updatePollingSchedule())
+          .then(() => respond(true))
+          .catch(error => respond(false, { error: error.message }));
+        return true;
+        
       case 'settingsUpdated':
         console.log('Settings updated:', message.settings);
         // Apply any setting changes that affect the background service
-        try {
-          // Store settings locally to ensure synchronization
-          chrome.storage.local.set({ userSettings: message.settings }, () => {
-            if (chrome.runtime.lastError) {
-              console.error('Error storing settings in background:', chrome.runtime.lastError);
-              respond(false, { error: chrome.runtime.lastError.message });
-            } else {
-              console.log('Settings synchronized in background script');
-              respond(true, { received: true });
-            }
+        // Store settings locally to ensure synchronization, then apply the changes right away
+        getUserSettings()
+          .then(async previousSettings => {
+            await chrome.storage.local.set({ userSettings: message.settings });
+            console.log('Settings synchronized in background script');
+            respond(true, { received: true });
+            
+            applySettingsChange(previousSettings, message.settings);
+          })
+          .catch(error => {
+            console.error('Error storing settings in background:', error);
+            respond(false, { error: error.message });
           });
-        } catch (error) {
-          console.error('Error processing settings update:', error);
-          respond(false, { error: error.message });
-        }
         return true; // Keep channel open for async response
     }
   } catch (error) {
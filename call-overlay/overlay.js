@@ -1,14 +1,38 @@
 // Google Calendar Callback Extension - Call Overlay Logic
 
+import callerIdCache, { getEventPeople } from '../utils/caller-id.js';
+import { DEFAULT_SNOOZE_OPTION, SNOOZE_OPTIONS, getSnoozeLabel, getSnoozeTime } from '../utils/snooze.js';
+import {
+  DEFAULT_ESCALATION,
+  ESCALATION_RAMP_SECONDS,
+  ESCALATION_START_VOLUME,
+  getRingEndTime
+} from '../utils/escalation.js';
+import {
+  FADE_IN_SECONDS,
+  createRingtonePlayer,
+  fadeVolume,
+  getRingtoneVolume,
+  setOutputDevice
+} from '../utils/ringtone-playback.js';
+import { formatEventTimeRange, formatEventTimeZone, parseEventTime } from '../utils/event-time.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   // DOM Elements
   const meetingTitle = document.getElementById('meeting-title');
   const meetingTime = document.getElementById('meeting-time');
+  const meetingTimeZone = document.getElementById('meeting-timezone');
+  const meetingProvider = document.getElementById('meeting-provider');
   const callerInitials = document.getElementById('caller-initials');
+  const callerPhoto = document.getElementById('caller-photo');
+  const callerName = document.getElementById('caller-name');
   const participantsList = document.getElementById('participants-list');
   const answerButton = document.getElementById('answer-button');
   const declineButton = document.getElementById('decline-button');
   const snoozeButton = document.getElementById('snooze-button');
+  const snoozeLabel = document.getElementById('snooze-label');
+  const snoozeMenuButton = document.getElementById('snooze-menu-button');
+  const snoozeMenu = document.getElementById('snooze-menu');
   const ringtone = document.getElementById('ringtone');
   const timer = document.getElementById('timer');
   const callCard = document.querySelector('.call-card');
@@ -19,6 +43,16 @@ document.addEventListener('DOMContentLoaded', () => {
   // Auto-dismiss timer
   let autoDismissTimer = null;
   
+  // Escalation timer, and the fade-in or escalation ramp currently changing the volume
+  let escalationTimer = null;
+  let volumeRamp = null;
+  
+  // What the ring plays through: the audio element, or a synthesized ring pattern
+  let player = ringtone;
+  
+  // The user's ringtone volume, which escalation ramps up to
+  let fullVolume = 1;
+  
   // Initialize
   initializeCallOverlay();
   
@@ -36,8 +70,9 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Event Listeners
   answerButton.addEventListener('click', handleAnswer);
-  declineButton.addEventListener('click', handleDecline);
-  snoozeButton.addEventListener('click', handleSnooze);
+  declineButton.addEventListener('click', () => handleDecline());
+  snoozeButton.addEventListener('click', () => handleSnooze());
+  snoozeMenuButton.addEventListener('click', () => snoozeMenu.classList.toggle('hidden'));
   
   // Functions
   function initializeCallOverlay() {
@@ -58,8 +93,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // Start ringtone
         playRingtone();
         
-        // Start countdown for auto-dismiss (2 minutes)
+        // Start countdown for auto-dismiss, and escalate if it rings unanswered
         startAutoDismissTimer();
+        startEscalationTimer();
         
         // Start call timer
         updateTimer();
@@ -76,12 +112,31 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set meeting title
     meetingTitle.textContent = meetingData.title;
     
-    // Set initials from meeting title
-    callerInitials.textContent = getInitials(meetingData.title);
+    // The organizer is the caller; the meeting title stands in when there is none, or it's you
+    const caller = getCaller();
+    callerInitials.textContent = getInitials(caller ? caller.name : meetingData.title);
+    if (caller) {
+      callerName.textContent = `From ${caller.name}`;
+      callerName.classList.remove('hidden');
+    }
+    
+    // Show when the meeting runs in the user's timezone, and in the event's own if that differs
+    meetingTime.textContent = formatEventTimeRange(meetingData);
+    const eventTimeZone = formatEventTimeZone(meetingData);
+    if (eventTimeZone) {
+      meetingTimeZone.textContent = eventTimeZone;
+      meetingTimeZone.classList.remove('hidden');
+    }
+    
+    // Show which service the call is on, plus the passcode if the invite had one
+    if (meetingData.providerName) {
+      meetingProvider.textContent = meetingData.passcode
+        ? `${meetingData.providerName} · Passcode: ${meetingData.passcode}`
+        : meetingData.providerName;
+      meetingProvider.classList.remove('hidden');
+    }
     
-    // Format and set meeting time
-    const startTime = new Date(meetingData.startTime);
-    meetingTime.textContent = formatTime(startTime);
+    setupSnoozeOptions();
     
     // Display participants
     if (meetingData.attendees && meetingData.attendees.length > 0) {
@@ -97,9 +152,13 @@ document.addEventListener('DOMContentLoaded', () => {
           const initials = document.createElement('div');
           initials.className = 'participant-initials';
           initials.textContent = getInitials(attendee.displayName || attendee.email);
+          initials.dataset.email = attendee.email.toLowerCase();
           
           const name = document.createElement('span');
           name.textContent = attendee.displayName || attendee.email.split('@')[0];
+          if (!attendee.displayName) {
+            name.dataset.email = attendee.email.toLowerCase();
+          }
           
           participant.appendChild(initials);
           participant.appendChild(name);
@@ -111,57 +170,89 @@ document.addEventListener('DOMContentLoaded', () => {
       noParticipants.textContent = 'No other participants';
       participantsList.appendChild(noParticipants);
     }
+    
+    showCachedCallerIds();
   }
   
   async function playRingtone() {
     try {
-      // Get user settings from storage
-      const result = await new Promise(resolve => {
-        chrome.storage.local.get('userSettings', resolve);
-      });
-      
-      const settings = result.userSettings || {};
-      console.log('Current ringtone settings from storage (userSettings):', settings);
+      // The background passes the settings along, with the ringtone a ring rule may have picked
+      const settings = meetingData.settings || {};
+      console.log('Current ringtone settings:', settings);
       
-      // Map ringtone names to their corresponding audio files
-      const ringtoneMap = {
-        'classic': 'classic-ring.mp3',
-        'digital': 'digital-ring.mp3',
-        'old': 'old-ring.mp3'
-      };
+      // Bundled, uploaded or synthesized ringtone, falling back to the classic ring
+      player = await createRingtonePlayer(settings.ringtone || 'classic', settings, ringtone);
+      console.log('Playing ringtone:', player === ringtone ? ringtone.src : 'ring pattern', 'for setting:', settings.ringtone);
       
-      // Get the ringtone name with fallback
-      const ringtoneName = (settings.ringtone || 'classic').toLowerCase();
-      const soundFile = `../assets/audio/${ringtoneMap[ringtoneName] || ringtoneMap['classic']}`;
-      console.log('Selected ringtone file:', soundFile, 'for setting:', settings.ringtone);
+      // Set the speakers to ring on
+      await setOutputDevice(player, settings.audioOutput?.deviceId);
       
-      console.log('Playing ringtone:', soundFile);
+      // Start quieter when the ring is going to get louder
+      fullVolume = getRingtoneVolume(settings);
+      const startVolume = isEscalatingVolume() ? fullVolume * ESCALATION_START_VOLUME : fullVolume;
       
-      // Set ringtone source
-      ringtone.src = chrome.runtime.getURL(soundFile);
-      
-      // Play ringtone
-      await ringtone.play();
+      // Play ringtone, fading in from silence if asked to
+      player.volume = settings.ringtoneFadeIn ? 0 : startVolume;
+      await player.play();
+      if (settings.ringtoneFadeIn) {
+        volumeRamp = fadeVolume(player, startVolume, FADE_IN_SECONDS);
+      }
     } catch (error) {
       console.error('Error playing ringtone:', error);
     }
   }
   
   function stopRingtone() {
-    ringtone.pause();
-    ringtone.currentTime = 0;
+    player.pause();
+    player.currentTime = 0;
     callCard.classList.remove('ringing');
+    
+    // Nothing left to escalate once the call is handled
+    clearTimeout(escalationTimer);
+    clearInterval(volumeRamp);
+  }
+  
+  function getEscalation() {
+    return { ...DEFAULT_ESCALATION, ...meetingData.settings?.escalation };
+  }
+  
+  function isEscalatingVolume() {
+    const escalation = getEscalation();
+    return escalation.afterSeconds > 0 && escalation.louder;
   }
   
   function startAutoDismissTimer() {
-    // Auto-dismiss after 2 minutes
+    // Auto-dismiss after 2 minutes, or when the meeting ends if set to ring until then
+    const ringEnd = getRingEndTime(getEscalation(), meetingData.endTime);
     autoDismissTimer = setTimeout(() => {
-      handleDecline();
-    }, 2 * 60 * 1000); // 2 minutes
+      handleDecline('missed');
+    }, ringEnd - Date.now());
+  }
+  
+  function startEscalationTimer() {
+    const escalation = getEscalation();
+    if (escalation.afterSeconds <= 0) return;
+    
+    escalationTimer = setTimeout(escalateRing, escalation.afterSeconds * 1000);
+  }
+  
+  function escalateRing() {
+    console.log('Call unanswered, escalating');
+    
+    // Ramp the ringtone up to the user's full volume
+    if (isEscalatingVolume()) {
+      clearInterval(volumeRamp);
+      volumeRamp = fadeVolume(player, fullVolume, ESCALATION_RAMP_SECONDS);
+    }
+    
+    // The background brings this window to the front and notifies again
+    chrome.runtime.sendMessage({ action: 'escalateCall', eventId: meetingData.id }).catch(error => {
+      console.error('Failed to escalate call:', error);
+    });
   }
   
   function updateTimer() {
-    const startTime = new Date(meetingData.startTime);
+    const startTime = parseEventTime(meetingData.startTime);
     const now = new Date();
     
     // Calculate difference in minutes
@@ -193,8 +284,18 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Mark this meeting as joined
     await markMeetingAsProcessed(meetingData.id, 'joined');
+    clearMeetingNotification();
     
-    // Open the Meet link in a new tab
+    // Copy the passcode so it can be pasted if the meeting app asks for it
+    if (meetingData.passcode) {
+      try {
+        await navigator.clipboard.writeText(meetingData.passcode);
+      } catch (error) {
+        console.warn('Could not copy passcode to clipboard:', error);
+      }
+    }
+    
+    // Open the meeting link (Meet, Zoom, Teams or Webex) in a new tab
     if (meetingData.meetLink) {
       await chrome.tabs.create({ url: meetingData.meetLink, active: autoJoin });
     }
@@ -203,75 +304,143 @@ document.addEventListener('DOMContentLoaded', () => {
     window.close();
   }
   
-  async function handleDecline() {
+  async function handleDecline(outcome = 'declined') {
     // Stop ringtone
     stopRingtone();
     
     // Clear auto-dismiss timer
     clearTimeout(autoDismissTimer);
     
-    // Mark this meeting as declined
-    await markMeetingAsProcessed(meetingData.id, 'declined');
+    // Mark this meeting as declined, or missed when nobody responded
+    await markMeetingAsProcessed(meetingData.id, outcome);
+    clearMeetingNotification();
     
     // Close this window
     window.close();
   }
   
-  async function handleSnooze() {
+  // Label the Snooze button with the default choice and list the others in its menu
+  function setupSnoozeOptions() {
+    const snooze = meetingData.snooze || { option: DEFAULT_SNOOZE_OPTION, remaining: 1 };
+    snoozeLabel.textContent = getSnoozeLabel(snooze.option);
+    
+    if (snooze.remaining <= 0) {
+      snoozeButton.disabled = true;
+      snoozeMenuButton.disabled = true;
+      snoozeButton.title = 'This meeting has been snoozed as many times as allowed';
+      return;
+    }
+    
+    Object.entries(SNOOZE_OPTIONS).forEach(([option, label]) => {
+      const item = document.createElement('button');
+      item.className = option === snooze.option ? 'snooze-option default' : 'snooze-option';
+      item.setAttribute('role', 'menuitem');
+      item.textContent = label;
+      // Targets relative to the start can already be behind us
+      item.disabled = getSnoozeTime(option, meetingData.startTime) === null;
+      item.addEventListener('click', () => handleSnooze(option));
+      snoozeMenu.appendChild(item);
+    });
+  }
+  
+  async function handleSnooze(option = meetingData.snooze?.option) {
+    snoozeMenu.classList.add('hidden');
+    
+    // The background records the snooze and schedules the next ring, then closes this window.
+    // The call keeps ringing until that has worked, so a failed snooze leaves it unanswered, not silent.
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        action: 'snoozeMeeting',
+        eventId: meetingData.id,
+        option
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+    
+    if (!response?.success) {
+      console.error('Failed to snooze meeting:', response?.error);
+      timer.textContent = response?.error || 'Could not snooze';
+      return;
+    }
+    
     // Stop ringtone
     stopRingtone();
     
     // Clear auto-dismiss timer
     clearTimeout(autoDismissTimer);
     
-    // Mark this meeting for snoozing
-    await markMeetingAsProcessed(meetingData.id, 'snoozed');
-    
-    // Set alarm for 2 minutes later
-    const snoozeTime = new Date();
-    snoozeTime.setMinutes(snoozeTime.getMinutes() + 2);
-    
-    chrome.alarms.create(`eventReminder_${meetingData.id}`, {
-      when: snoozeTime.getTime()
-    });
-    
     // Close this window
     window.close();
   }
   
+  // The call was handled here, so the companion notification is no longer needed
+  function clearMeetingNotification() {
+    chrome.notifications.clear(`meeting_${meetingData.id}`);
+  }
+  
   async function markMeetingAsProcessed(eventId, action) {
     try {
-      const { processedEvents = [] } = await chrome.storage.local.get('processedEvents');
-      
-      // Find if event is already in the list
-      const existingIndex = processedEvents.findIndex(item => 
-        item.id === eventId
-      );
+      // The background keeps the call history, so its writes don't overlap
+      const response = await chrome.runtime.sendMessage({ action: 'recordCallOutcome', eventId, outcome: action });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the background');
+      }
+    } catch (error) {
+      console.error('Error marking meeting as processed:', error);
+    }
+  }
+  
+  async function showCachedCallerIds() {
+    // Names and photos the background looked up before the call; initials stay if there are none
+    try {
+      const people = await callerIdCache.getCached(getEventPeople(meetingData));
       
-      if (existingIndex >= 0) {
-        // Update existing event
-        processedEvents[existingIndex] = {
-          id: eventId,
-          action,
-          timestamp: new Date().toISOString()
-        };
-      } else {
-        // Add new event
-        processedEvents.push({
-          id: eventId,
-          action,
-          timestamp: new Date().toISOString()
-        });
+      const caller = getCaller();
+      const cachedCaller = caller && people[caller.email];
+      if (cachedCaller) {
+        if (cachedCaller.name && !meetingData.organizer.displayName) {
+          callerName.textContent = `From ${cachedCaller.name}`;
+          callerInitials.textContent = getInitials(cachedCaller.name);
+        }
+        if (cachedCaller.photo) {
+          callerPhoto.src = cachedCaller.photo;
+          callerPhoto.classList.remove('hidden');
+          callerInitials.classList.add('hidden');
+        }
       }
       
-      // Save back to storage
-      await chrome.storage.local.set({ processedEvents });
+      participantsList.querySelectorAll('[data-email]').forEach(element => {
+        const person = people[element.dataset.email];
+        if (!person) return;
+        
+        if (element.tagName === 'SPAN') {
+          element.textContent = person.name || element.textContent;
+        } else if (person.photo) {
+          const photo = document.createElement('img');
+          photo.className = 'participant-photo';
+          photo.src = person.photo;
+          photo.alt = '';
+          element.replaceWith(photo);
+        }
+      });
     } catch (error) {
-      console.error('Error marking meeting as processed:', error);
+      console.error('Error showing caller ID:', error);
     }
   }
   
   // Helper Functions
+  function getCaller() {
+    const organizer = meetingData.organizer;
+    if (!organizer?.email || organizer.self) return null;
+    
+    return {
+      email: organizer.email.toLowerCase(),
+      name: organizer.displayName || organizer.email.split('@')[0]
+    };
+  }
+  
   function getInitials(name) {
     if (!name) return '?';
     
@@ -282,10 +451,4 @@ document.addEventListener('DOMContentLoaded', () => {
     
     return (words[0][0] + words[words.length - 1][0]).toUpperCase();
   }
-  
-  function formatTime(date) {
-    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + 
-           ' - ' + 
-           new Date(date.getTime() + 30*60000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  }
 });
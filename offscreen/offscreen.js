@@ -0,0 +1,68 @@
+// Google Calendar Callback Extension - Offscreen Helper
+// Service workers can't read the battery or play sound, so this offscreen
+// document does both on behalf of the background worker:
+// - reports battery changes so polling can slow down on battery
+// - plays the soft chime for staged meeting reminders
+
+async function reportBatteryStatus(battery) {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'batteryStatusChanged',
+      charging: battery.charging,
+      level: battery.level
+    });
+  } catch (error) {
+    console.warn('Could not report battery status:', error.message);
+  }
+}
+
+if (typeof navigator.getBattery === 'function') {
+  navigator.getBattery().then(battery => {
+    reportBatteryStatus(battery);
+    battery.addEventListener('chargingchange', () => reportBatteryStatus(battery));
+  }).catch(error => {
+    console.warn('Battery status unavailable:', error);
+  });
+}
+
+// Two quiet descending tones, gentler than a ringtone
+function playChime() {
+  const context = new AudioContext();
+  const notes = [
+    { frequency: 880, start: 0 },
+    { frequency: 660, start: 0.25 }
+  ];
+
+  notes.forEach(({ frequency, start }) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const startTime = context.currentTime + start;
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+
+    // Quick attack and a long fade so the tones don't click
+    gain.gain.setValueAtTime(0, startTime);
+    gain.gain.linearRampToValueAtTime(0.2, startTime + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.8);
+
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(startTime);
+    oscillator.stop(startTime + 0.8);
+  });
+
+  setTimeout(() => context.close(), 1500);
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'offscreen') return;
+
+  if (message.action === 'playChime') {
+    try {
+      playChime();
+    } catch (error) {
+      console.warn('Could not play reminder chime:', error);
+    }
+  }
+});
@@ -0,0 +1,78 @@
+/**
+ * Reminder stages editor for Calendar Ringback popup
+ * Rows of "kind of reminder, minutes before" used by the global settings
+ * and by ring rules that override them
+ */
+
+import { REMINDER_STAGE_TYPES } from '../../utils/reminder-stages.js';
+
+// Minutes offered for a reminder stage
+const STAGE_MINUTES = [1, 2, 3, 5, 10, 15, 30, 60];
+
+/**
+ * Replace the stage rows in a container
+ * @param {HTMLElement} container - Element holding the stage rows
+ * @param {Array} stages - Stages as {type, minutesBefore}
+ */
+export function renderReminderStages(container, stages = []) {
+  if (!container) return;
+
+  container.querySelectorAll('.stage-row').forEach(row => row.remove());
+  stages.forEach(stage => addReminderStage(container, stage));
+}
+
+/**
+ * Append a stage row to a container
+ * @param {HTMLElement} container - Element holding the stage rows
+ * @param {Object} [stage] - Stage to show, defaults to a notification 10 minutes before
+ */
+export function addReminderStage(container, stage = { type: 'notify', minutesBefore: 10 }) {
+  if (!container) return;
+
+  const row = document.createElement('div');
+  row.className = 'stage-row';
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'stage-type';
+  Object.entries(REMINDER_STAGE_TYPES).forEach(([value, label]) => {
+    typeSelect.appendChild(new Option(label, value));
+  });
+  typeSelect.value = stage.type;
+
+  const minutesSelect = document.createElement('select');
+  minutesSelect.className = 'stage-minutes';
+  // Keep a stored value that isn't one of the standard choices
+  const minutes = STAGE_MINUTES.includes(stage.minutesBefore)
+    ? STAGE_MINUTES
+    : [...STAGE_MINUTES, stage.minutesBefore].sort((a, b) => a - b);
+  minutes.forEach(value => {
+    minutesSelect.appendChild(new Option(value === 1 ? '1 min before' : `${value} min before`, String(value)));
+  });
+  minutesSelect.value = String(stage.minutesBefore);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'small-button';
+  removeButton.textContent = '✕';
+  removeButton.title = 'Remove reminder';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.appendChild(typeSelect);
+  row.appendChild(minutesSelect);
+  row.appendChild(removeButton);
+  container.appendChild(row);
+}
+
+/**
+ * Read the stages currently shown in a container
+ * @param {HTMLElement} container - Element holding the stage rows
+ * @returns {Array} Stages as {type, minutesBefore}
+ */
+export function readReminderStages(container) {
+  if (!container) return [];
+
+  return Array.from(container.querySelectorAll('.stage-row')).map(row => ({
+    type: row.querySelector('.stage-type').value,
+    minutesBefore: parseInt(row.querySelector('.stage-minutes').value, 10)
+  }));
+}
@@ -0,0 +1,40 @@
+/**
+ * Ringtone select options for Calendar Ringback popup
+ * Groups of extra ringtones (uploaded, synthesized) offered next to the
+ * bundled ones in the settings and ring rule selects
+ */
+
+/**
+ * Replace one group of ringtone options in a select, keeping its value
+ * The group stays where it was so the options don't move around as it changes.
+ * @param {HTMLSelectElement} select - Ringtone select
+ * @param {string} className - Class identifying the group
+ * @param {string} label - Group label
+ * @param {Array} options - Options as {value, label}; an empty list removes the group
+ */
+export function setRingtoneOptions(select, className, label, options) {
+  if (!select) return;
+
+  const value = select.value;
+  const existing = select.querySelector(`optgroup.${className}`);
+
+  if (options.length === 0) {
+    existing?.remove();
+  } else {
+    const group = document.createElement('optgroup');
+    group.className = className;
+    group.label = label;
+    options.forEach(option => group.appendChild(new Option(option.label, option.value)));
+
+    if (existing) {
+      existing.replaceWith(group);
+    } else {
+      select.appendChild(group);
+    }
+  }
+
+  select.value = value;
+  if (select.selectedIndex < 0) {
+    select.selectedIndex = 0;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * History Controller for Calendar Ringback popup
+ * Shows the "Recent calls" tab: past rings with their outcome, a date filter,
+ * CSV/JSON export and a rejoin link for meetings that are still going on
+ */
+
+import errorTracker from '../../utils/error-tracking.js';
+import callHistory, { CALL_OUTCOMES, exportCallHistory, isCallInProgress } from '../../utils/call-history.js';
+
+class HistoryController {
+  constructor() {
+    // DOM elements
+    this.elements = {
+      tabs: [],
+      historyTab: null,
+      historyList: null,
+      noHistoryMsg: null,
+      historyRange: null,
+      exportCsvButton: null,
+      exportJsonButton: null
+    };
+
+    // Bind methods
+    this.render = this.render.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Initialize the history controller
+   */
+  async init() {
+    try {
+      this._cacheElements();
+
+      if (!this.elements.historyList) {
+        console.warn('Call history section not found, skipping history controller');
+        return;
+      }
+
+      this._setupEventListeners();
+      await this.render();
+      await this._updateMissedCount();
+    } catch (error) {
+      errorTracker.logError('Error initializing history controller', { error });
+    }
+  }
+
+  /**
+   * Draw the calls in the selected period, most recent first
+   */
+  async render() {
+    const { historyList, noHistoryMsg } = this.elements;
+
+    try {
+      const entries = await this._getFilteredEntries();
+
+      historyList.querySelectorAll('.meeting-item').forEach(item => item.remove());
+      noHistoryMsg.classList.toggle('hidden', entries.length > 0);
+
+      [...entries].reverse().forEach(entry => {
+        historyList.appendChild(this._createEntryElement(entry));
+      });
+    } catch (error) {
+      console.error('Error displaying call history:', error);
+      errorTracker.logError('Error displaying call history', { error });
+    }
+  }
+
+  /**
+   * Redraw when the background or the call overlay records a call
+   * @param {Object} changes - Storage changes
+   * @param {string} areaName - Storage area
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    if (changes.callHistory) {
+      this.render();
+    }
+    if (changes.callHistory || changes.missedCallsSeenAt) {
+      this._updateMissedCount();
+    }
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Cache DOM elements
+   * @private
+   */
+  _cacheElements() {
+    this.elements.tabs = Array.from(document.querySelectorAll('.tab-button'));
+    this.elements.historyTab = document.getElementById('history-tab');
+    this.elements.historyList = document.getElementById('history-list');
+    this.elements.noHistoryMsg = document.getElementById('no-history-msg');
+    this.elements.historyRange = document.getElementById('history-range');
+    this.elements.exportCsvButton = document.getElementById('export-history-csv');
+    this.elements.exportJsonButton = document.getElementById('export-history-json');
+  }
+
+  /**
+   * Set up the tab, filter and export handlers
+   * @private
+   */
+  _setupEventListeners() {
+    this.elements.tabs.forEach(tab => {
+      tab.addEventListener('click', () => this._showTab(tab));
+    });
+    this.elements.historyRange?.addEventListener('change', this.render);
+    this.elements.exportCsvButton?.addEventListener('click', () => this._export('csv'));
+    this.elements.exportJsonButton?.addEventListener('click', () => this._export('json'));
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  /**
+   * Switch between the Upcoming and Recent calls panels
+   * @private
+   */
+  _showTab(activeTab) {
+    this.elements.tabs.forEach(tab => {
+      const isActive = tab === activeTab;
+      tab.classList.toggle('active', isActive);
+      document.getElementById(tab.dataset.section)?.classList.toggle('hidden', !isActive);
+    });
+
+    // Looking at the history clears the missed call count on the toolbar icon
+    if (activeTab === this.elements.historyTab) {
+      // The background keeps the call history, so its writes don't overlap
+      chrome.runtime.sendMessage({ action: 'markMissedCallsSeen' }).catch(error => {
+        errorTracker.logError('Failed to mark missed calls as seen', { error });
+      });
+    }
+  }
+
+  /**
+   * Show the unseen missed calls on the Recent calls tab
+   * @private
+   */
+  async _updateMissedCount() {
+    const { historyTab } = this.elements;
+    if (!historyTab) return;
+
+    try {
+      const count = await callHistory.getUnseenMissedCount();
+      historyTab.textContent = count > 0 ? `Recent calls (${count} missed)` : 'Recent calls';
+    } catch (error) {
+      console.error('Error counting missed calls:', error);
+    }
+  }
+
+  /**
+   * Get the entries rung within the selected period, oldest first
+   * @private
+   */
+  async _getFilteredEntries() {
+    const entries = await callHistory.getEntries();
+    const range = this.elements.historyRange?.value || 'all';
+    if (range === 'all') return entries;
+
+    // Periods count whole days, so "Today" starts at midnight
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (parseInt(range, 10) - 1));
+
+    return entries.filter(entry => new Date(entry.rungAt) >= since);
+  }
+
+  /**
+   * Build the row for one call
+   * @private
+   */
+  _createEntryElement(entry) {
+    const item = document.createElement('div');
+    item.className = 'meeting-item';
+
+    const rungAt = new Date(entry.rungAt);
+    const time = document.createElement('div');
+    time.className = 'meeting-time';
+    time.textContent = rungAt.toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const details = document.createElement('div');
+    details.className = 'meeting-details';
+
+    const title = document.createElement('div');
+    title.className = 'meeting-title';
+    title.textContent = entry.title;
+    details.appendChild(title);
+
+    const outcome = document.createElement('div');
+    outcome.className = `history-outcome outcome-${entry.outcome}`;
+    outcome.textContent = entry.timeToAnswer !== null
+      ? `${CALL_OUTCOMES[entry.outcome] || entry.outcome} after ${this._formatDuration(entry.timeToAnswer)}`
+      : CALL_OUTCOMES[entry.outcome] || entry.outcome;
+    details.appendChild(outcome);
+
+    item.appendChild(time);
+    item.appendChild(details);
+
+    // One-click rejoin while the meeting is still going on
+    if (entry.meetLink && isCallInProgress(entry)) {
+      const rejoin = document.createElement('a');
+      rejoin.href = entry.meetLink;
+      rejoin.target = '_blank';
+      rejoin.className = 'join-button';
+      rejoin.title = 'This meeting is still in progress';
+      rejoin.textContent = 'Rejoin';
+      item.appendChild(rejoin);
+    }
+
+    return item;
+  }
+
+  /**
+   * Format a time to answer, e.g. "45s" or "2m 5s"
+   * @private
+   */
+  _formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    return remainder > 0 ? `${minutes}m ${remainder}s` : `${minutes}m`;
+  }
+
+  /**
+   * Download the calls in the selected period
+   * @param {string} format - 'csv' or 'json'
+   * @private
+   */
+  async _export(format) {
+    try {
+      const entries = await this._getFilteredEntries();
+      const contents = exportCallHistory(entries, format);
+      const type = format === 'csv' ? 'text/csv' : 'application/json';
+      const url = URL.createObjectURL(new Blob([contents], { type }));
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `call-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      console.log(`Exported ${entries.length} calls as ${format.toUpperCase()}`);
+    } catch (error) {
+      console.error('Failed to export call history:', error);
+      errorTracker.logError('Failed to export call history', { error, format });
+    }
+  }
+}
+
+// Export as singleton
+const historyController = new HistoryController();
+export default historyController;
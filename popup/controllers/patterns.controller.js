@@ -0,0 +1,384 @@
+/**
+ * Patterns Controller for Calendar Ringback popup
+ * Adds, edits and previews synthesized ring patterns, and offers them in the ringtone selects
+ */
+
+import errorTracker from '../../utils/error-tracking.js';
+import settingsService from '../services/settings.service.js';
+import { setRingtoneOptions } from '../components/ringtone-options.js';
+import { getRingtoneVolume } from '../../utils/ringtone-playback.js';
+import {
+  PATTERN_LIMITS,
+  PRESET_RING_PATTERNS,
+  RING_CADENCES,
+  SYNTH_RINGTONE_PREFIX,
+  SynthRingtone,
+  getCadenceSteps,
+  normalizeRingPattern
+} from '../../utils/ring-patterns.js';
+
+// Cycles of the pattern the editor's Preview button plays
+const PREVIEW_CYCLES = 2;
+
+class PatternsController {
+  constructor() {
+    // DOM elements
+    this.elements = {
+      ringtoneSelect: null,
+      ruleRingtone: null,
+      patternList: null,
+      addPatternButton: null,
+      patternForm: null,
+      patternName: null,
+      patternFrequency: null,
+      patternSecondFrequency: null,
+      patternCadence: null,
+      patternToneMs: null,
+      patternGapMs: null,
+      patternError: null,
+      previewPatternButton: null,
+      savePatternButton: null,
+      cancelPatternButton: null
+    };
+
+    // ID of the pattern being edited, or null when adding a new one
+    this.editingPatternId = null;
+
+    // Pattern preview, and the timer that ends it
+    this.preview = null;
+    this.previewTimer = null;
+
+    // Bind methods
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handlePreview = this.handlePreview.bind(this);
+    this.showForm = this.showForm.bind(this);
+    this.hideForm = this.hideForm.bind(this);
+  }
+
+  /**
+   * Initialize the patterns controller
+   */
+  async init() {
+    try {
+      this._cacheElements();
+
+      if (!this.elements.patternList) {
+        console.warn('Ring pattern section not found, skipping patterns controller');
+        return;
+      }
+
+      this._setupForm();
+      this._setupEventListeners();
+      this.render();
+
+      // The saved ringtone may be a pattern, which wasn't an option until now
+      this.elements.ringtoneSelect.value = settingsService.getSetting('ringtone', 'classic');
+    } catch (error) {
+      errorTracker.logError('Error initializing patterns controller', { error });
+    }
+  }
+
+  /**
+   * Draw the user's patterns and offer all patterns in the ringtone selects
+   */
+  render() {
+    const { patternList } = this.elements;
+    const patterns = this._getPatterns();
+
+    patternList.innerHTML = '';
+    patterns.forEach(pattern => {
+      const row = document.createElement('div');
+      row.className = 'custom-ringtone';
+
+      const name = document.createElement('span');
+      name.className = 'custom-ringtone-name';
+      name.textContent = pattern.name;
+      name.title = this._describePattern(pattern);
+
+      const buttons = document.createElement('div');
+      buttons.appendChild(this._createButton('Edit', 'Edit pattern', () => this.showForm(pattern)));
+      buttons.appendChild(this._createButton('✕', 'Delete pattern', () => this._deletePattern(pattern)));
+
+      row.appendChild(name);
+      row.appendChild(buttons);
+      patternList.appendChild(row);
+    });
+
+    const options = [...PRESET_RING_PATTERNS, ...patterns].map(pattern => ({
+      value: `${SYNTH_RINGTONE_PREFIX}${pattern.id}`,
+      label: pattern.name
+    }));
+    [this.elements.ringtoneSelect, this.elements.ruleRingtone].forEach(select => {
+      setRingtoneOptions(select, 'ring-patterns', 'Synthesized', options);
+    });
+  }
+
+  /**
+   * Open the pattern form, filled in from an existing pattern or a preset for a new one
+   * @param {Object} [pattern] - Pattern to edit
+   */
+  showForm(pattern = null) {
+    const el = this.elements;
+    const editing = pattern || { ...PRESET_RING_PATTERNS[0], name: '' };
+
+    this.editingPatternId = pattern ? pattern.id : null;
+
+    el.patternName.value = editing.name;
+    el.patternFrequency.value = editing.frequency;
+    el.patternSecondFrequency.value = editing.secondFrequency || '';
+    el.patternCadence.value = editing.cadence;
+    el.patternToneMs.value = editing.toneMs;
+    el.patternGapMs.value = editing.gapMs;
+    el.patternError.classList.add('hidden');
+
+    el.patternForm.classList.remove('hidden');
+    el.addPatternButton.classList.add('hidden');
+    el.patternName.focus();
+  }
+
+  /**
+   * Close the pattern form without saving
+   */
+  hideForm() {
+    this._stopPreview();
+    this.editingPatternId = null;
+    this.elements.patternForm.classList.add('hidden');
+    this.elements.addPatternButton.classList.remove('hidden');
+  }
+
+  /**
+   * Save the pattern in the form, adding it to the list if it's new
+   * @param {Event} event - Form submit event
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const pattern = this._readForm();
+    if (!pattern) return;
+
+    const patterns = this._getPatterns();
+    const existingIndex = patterns.findIndex(existing => existing.id === pattern.id);
+    if (existingIndex >= 0) {
+      patterns[existingIndex] = pattern;
+    } else {
+      patterns.push(pattern);
+    }
+
+    if (await this._savePatterns(patterns)) {
+      this.hideForm();
+
+      // Pick the new pattern; it is used once the settings are saved
+      if (existingIndex < 0) {
+        this.elements.ringtoneSelect.value = `${SYNTH_RINGTONE_PREFIX}${pattern.id}`;
+      }
+    }
+  }
+
+  /**
+   * Play the pattern in the form a couple of times, or stop it if it is playing
+   */
+  async handlePreview() {
+    if (this.preview) {
+      this._stopPreview();
+      return;
+    }
+
+    const pattern = this._readForm();
+    if (!pattern) return;
+
+    try {
+      this.preview = new SynthRingtone(pattern);
+      this.preview.volume = getRingtoneVolume({ ringtoneVolume: settingsService.getSetting('ringtoneVolume') });
+      this.elements.previewPatternButton.textContent = 'Stop';
+
+      const cycleMs = getCadenceSteps(pattern).reduce((total, ms) => total + ms, 0);
+      this.previewTimer = setTimeout(() => this._stopPreview(), cycleMs * PREVIEW_CYCLES);
+      await this.preview.play();
+    } catch (error) {
+      console.error('Failed to preview ring pattern:', error);
+      this._stopPreview();
+    }
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Cache DOM elements
+   * @private
+   */
+  _cacheElements() {
+    const ids = {
+      ringtoneSelect: 'ringtone-select',
+      ruleRingtone: 'rule-ringtone',
+      patternList: 'ring-pattern-list',
+      addPatternButton: 'add-ring-pattern',
+      patternForm: 'ring-pattern-form',
+      patternName: 'ring-pattern-name',
+      patternFrequency: 'ring-pattern-frequency',
+      patternSecondFrequency: 'ring-pattern-second-frequency',
+      patternCadence: 'ring-pattern-cadence',
+      patternToneMs: 'ring-pattern-tone',
+      patternGapMs: 'ring-pattern-gap',
+      patternError: 'ring-pattern-error',
+      previewPatternButton: 'preview-ring-pattern',
+      savePatternButton: 'save-ring-pattern',
+      cancelPatternButton: 'cancel-ring-pattern'
+    };
+
+    Object.entries(ids).forEach(([key, id]) => {
+      this.elements[key] = document.getElementById(id);
+    });
+  }
+
+  /**
+   * Fill in the cadence choices and the limits of the number fields
+   * @private
+   */
+  _setupForm() {
+    const el = this.elements;
+
+    Object.entries(RING_CADENCES).forEach(([value, label]) => {
+      el.patternCadence.appendChild(new Option(label, value));
+    });
+
+    const setLimits = (input, { min, max }) => {
+      input.min = min;
+      input.max = max;
+    };
+    setLimits(el.patternFrequency, PATTERN_LIMITS.frequency);
+    setLimits(el.patternSecondFrequency, PATTERN_LIMITS.frequency);
+    setLimits(el.patternToneMs, PATTERN_LIMITS.toneMs);
+    setLimits(el.patternGapMs, PATTERN_LIMITS.gapMs);
+  }
+
+  /**
+   * Set up the add, preview, save and cancel handlers
+   * @private
+   */
+  _setupEventListeners() {
+    this.elements.addPatternButton?.addEventListener('click', () => this.showForm());
+    this.elements.cancelPatternButton?.addEventListener('click', this.hideForm);
+    this.elements.previewPatternButton?.addEventListener('click', this.handlePreview);
+    this.elements.patternForm?.addEventListener('submit', this.handleSubmit);
+  }
+
+  /**
+   * Read and validate the pattern in the form
+   * @returns {Object|null} The pattern, or null if the form has an error (which is shown)
+   * @private
+   */
+  _readForm() {
+    const el = this.elements;
+
+    try {
+      const pattern = normalizeRingPattern({
+        id: this.editingPatternId || undefined,
+        name: el.patternName.value,
+        frequency: el.patternFrequency.value,
+        secondFrequency: el.patternSecondFrequency.value,
+        cadence: el.patternCadence.value,
+        toneMs: el.patternToneMs.value,
+        gapMs: el.patternGapMs.value
+      });
+      el.patternError.classList.add('hidden');
+      return pattern;
+    } catch (error) {
+      el.patternError.textContent = error.message;
+      el.patternError.classList.remove('hidden');
+      return null;
+    }
+  }
+
+  /**
+   * Summarize a pattern for its tooltip
+   * @private
+   */
+  _describePattern(pattern) {
+    const tones = [pattern.frequency, pattern.secondFrequency].filter(Boolean).join(' + ');
+    return `${RING_CADENCES[pattern.cadence]}, ${tones} Hz, ${pattern.toneMs} ms on, ${pattern.gapMs} ms pause`;
+  }
+
+  /**
+   * Stop the pattern preview and reset its button
+   * @private
+   */
+  _stopPreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = null;
+
+    if (this.preview) {
+      this.preview.pause();
+      this.preview = null;
+    }
+
+    if (this.elements.previewPatternButton) {
+      this.elements.previewPatternButton.textContent = 'Preview';
+    }
+  }
+
+  /**
+   * Create a small button for a pattern row
+   * @private
+   */
+  _createButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'small-button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Get a copy of the saved patterns
+   * @returns {Array} The user's patterns
+   * @private
+   */
+  _getPatterns() {
+    return [...settingsService.getSetting('ringPatterns', [])];
+  }
+
+  /**
+   * Delete a pattern, switching back to the classic ring if it was in use
+   * Ring rules still using it fall back to the classic ring when they ring.
+   * @private
+   */
+  async _deletePattern(pattern) {
+    const inUse = settingsService.getSetting('ringtone') === `${SYNTH_RINGTONE_PREFIX}${pattern.id}`;
+    const patterns = this._getPatterns().filter(existing => existing.id !== pattern.id);
+
+    if (await this._savePatterns(patterns, inUse ? { ringtone: 'classic' } : {})) {
+      if (inUse) {
+        this.elements.ringtoneSelect.value = 'classic';
+      }
+      console.log(`Deleted ring pattern "${pattern.name}"`);
+    }
+  }
+
+  /**
+   * Save the patterns and redraw the list
+   * @param {Array} patterns - The user's patterns
+   * @param {Object} [changes] - Settings to save along with them
+   * @returns {Promise<boolean>} True if the patterns were saved
+   * @private
+   */
+  async _savePatterns(patterns, changes = {}) {
+    try {
+      await settingsService.saveSettings({ ...changes, ringPatterns: patterns });
+      console.log(`Saved ${patterns.length} ring patterns`);
+      this.render();
+      return true;
+    } catch (error) {
+      console.error('Failed to save ring patterns:', error);
+      errorTracker.logError('Failed to save ring patterns', { error });
+      this.elements.patternError.textContent = error.message;
+      this.elements.patternError.classList.remove('hidden');
+      return false;
+    }
+  }
+}
+
+// Export as singleton
+const patternsController = new PatternsController();
+export default patternsController;
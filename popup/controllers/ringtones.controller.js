@@ -0,0 +1,170 @@
+/**
+ * Ringtones Controller for Calendar Ringback popup
+ * Uploads and deletes custom ringtones, and offers them in the ringtone selects
+ */
+
+import errorTracker from '../../utils/error-tracking.js';
+import settingsService from '../services/settings.service.js';
+import { setRingtoneOptions } from '../components/ringtone-options.js';
+import customRingtones, {
+  ACCEPTED_RINGTONE_EXTENSIONS,
+  ACCEPTED_RINGTONE_TYPES,
+  CUSTOM_RINGTONE_PREFIX,
+  MAX_RINGTONE_BYTES,
+  MAX_RINGTONE_SECONDS
+} from '../../utils/custom-ringtones.js';
+
+class RingtonesController {
+  constructor() {
+    // DOM elements
+    this.elements = {
+      ringtoneSelect: null,
+      ruleRingtone: null,
+      customRingtoneList: null,
+      uploadInput: null,
+      uploadButton: null,
+      uploadError: null,
+      uploadHint: null
+    };
+
+    // Uploaded ringtones, oldest first
+    this.ringtones = [];
+
+    // Bind methods
+    this.handleUpload = this.handleUpload.bind(this);
+  }
+
+  /**
+   * Initialize the ringtones controller
+   */
+  async init() {
+    try {
+      this._cacheElements();
+
+      if (!this.elements.customRingtoneList) {
+        console.warn('Custom ringtone section not found, skipping ringtones controller');
+        return;
+      }
+
+      this.elements.uploadInput.accept = [...ACCEPTED_RINGTONE_TYPES, ...ACCEPTED_RINGTONE_EXTENSIONS].join(',');
+      this.elements.uploadHint.textContent =
+        `MP3, WAV, OGG, WebM or M4A, up to ${MAX_RINGTONE_BYTES / (1024 * 1024)} MB and ${MAX_RINGTONE_SECONDS} seconds.`;
+      this.elements.uploadButton.addEventListener('click', () => this.elements.uploadInput.click());
+      this.elements.uploadInput.addEventListener('change', this.handleUpload);
+
+      this.ringtones = await customRingtones.list();
+      this.render();
+
+      // The saved ringtone may be an uploaded one, which wasn't an option until now
+      this.elements.ringtoneSelect.value = settingsService.getSetting('ringtone', 'classic');
+    } catch (error) {
+      errorTracker.logError('Error initializing ringtones controller', { error });
+    }
+  }
+
+  /**
+   * Draw the uploaded ringtones and offer them in the ringtone selects
+   */
+  render() {
+    const { customRingtoneList } = this.elements;
+
+    customRingtoneList.innerHTML = '';
+    this.ringtones.forEach(ringtone => {
+      const row = document.createElement('div');
+      row.className = 'custom-ringtone';
+
+      const name = document.createElement('span');
+      name.className = 'custom-ringtone-name';
+      name.textContent = ringtone.name;
+      name.title = `${Math.round(ringtone.duration)} s · ${Math.round(ringtone.size / 1024)} KB`;
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'small-button';
+      removeButton.textContent = '✕';
+      removeButton.title = 'Delete ringtone';
+      removeButton.addEventListener('click', () => this._removeRingtone(ringtone));
+
+      row.appendChild(name);
+      row.appendChild(removeButton);
+      customRingtoneList.appendChild(row);
+    });
+
+    const options = this.ringtones.map(ringtone => ({
+      value: `${CUSTOM_RINGTONE_PREFIX}${ringtone.id}`,
+      label: ringtone.name
+    }));
+    [this.elements.ringtoneSelect, this.elements.ruleRingtone].forEach(select => {
+      setRingtoneOptions(select, 'custom-ringtones', 'My ringtones', options);
+    });
+  }
+
+  /**
+   * Validate and store the file picked for upload
+   */
+  async handleUpload() {
+    const { uploadInput, uploadError, ringtoneSelect } = this.elements;
+    const file = uploadInput.files[0];
+    uploadInput.value = '';
+    if (!file) return;
+
+    uploadError.classList.add('hidden');
+
+    try {
+      const ringtone = await customRingtones.add(file);
+      this.ringtones.push(ringtone);
+      this.render();
+
+      // Pick the new ringtone; it is used once the settings are saved
+      ringtoneSelect.value = `${CUSTOM_RINGTONE_PREFIX}${ringtone.id}`;
+      console.log(`Uploaded custom ringtone "${ringtone.name}"`);
+    } catch (error) {
+      console.error('Failed to upload ringtone:', error);
+      uploadError.textContent = error.message;
+      uploadError.classList.remove('hidden');
+    }
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Cache DOM elements
+   * @private
+   */
+  _cacheElements() {
+    this.elements.ringtoneSelect = document.getElementById('ringtone-select');
+    this.elements.ruleRingtone = document.getElementById('rule-ringtone');
+    this.elements.customRingtoneList = document.getElementById('custom-ringtone-list');
+    this.elements.uploadInput = document.getElementById('ringtone-upload');
+    this.elements.uploadButton = document.getElementById('upload-ringtone');
+    this.elements.uploadError = document.getElementById('ringtone-upload-error');
+    this.elements.uploadHint = document.getElementById('ringtone-upload-hint');
+  }
+
+  /**
+   * Delete an uploaded ringtone, switching back to the classic ring if it was in use
+   * @private
+   */
+  async _removeRingtone(ringtone) {
+    const value = `${CUSTOM_RINGTONE_PREFIX}${ringtone.id}`;
+
+    try {
+      await customRingtones.remove(ringtone.id);
+      this.ringtones = this.ringtones.filter(existing => existing.id !== ringtone.id);
+      this.render();
+
+      if (settingsService.getSetting('ringtone') === value) {
+        await settingsService.saveSettings({ ringtone: 'classic' });
+        this.elements.ringtoneSelect.value = 'classic';
+      }
+      console.log(`Deleted custom ringtone "${ringtone.name}"`);
+    } catch (error) {
+      console.error('Failed to delete ringtone:', error);
+      errorTracker.logError('Failed to delete ringtone', { error });
+    }
+  }
+}
+
+// Export as singleton
+const ringtonesController = new RingtonesController();
+export default ringtonesController;
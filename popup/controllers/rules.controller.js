@@ -0,0 +1,364 @@
+/**
+ * Rules Controller for Calendar Ringback popup
+ * Lists, adds, edits and reorders the user's ring rules
+ */
+
+import errorTracker from '../../utils/error-tracking.js';
+import settingsService from '../services/settings.service.js';
+import meetingsService from '../services/meetings.service.js';
+import { createRule, describeRule, RULE_ACTIONS } from '../../utils/ring-rules.js';
+import { addReminderStage, readReminderStages, renderReminderStages } from '../components/reminder-stages.js';
+
+class RulesController {
+  constructor() {
+    // DOM elements
+    this.elements = {
+      ruleList: null,
+      noRulesMsg: null,
+      addRuleButton: null,
+      ruleForm: null,
+      ruleName: null,
+      ruleKeywords: null,
+      ruleOrganizers: null,
+      ruleMinAttendees: null,
+      ruleMaxAttendees: null,
+      ruleCalendar: null,
+      ruleRsvp: null,
+      ruleAction: null,
+      ruleRingtone: null,
+      ruleTiming: null,
+      ruleStagesMode: null,
+      ruleStages: null,
+      ruleAddStageButton: null,
+      saveRuleButton: null,
+      cancelRuleButton: null
+    };
+
+    // Calendars offered in the rule form
+    this.calendars = [];
+
+    // ID of the rule being edited, or null when adding a new one
+    this.editingRuleId = null;
+
+    // Bind methods
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.showForm = this.showForm.bind(this);
+    this.hideForm = this.hideForm.bind(this);
+  }
+
+  /**
+   * Initialize the rules controller
+   */
+  async init() {
+    try {
+      this._cacheElements();
+
+      if (!this.elements.ruleList) {
+        console.warn('Ring rules section not found, skipping rules controller');
+        return;
+      }
+
+      this._setupEventListeners();
+
+      this.calendars = await meetingsService.getCalendarList();
+      this._populateCalendarOptions();
+
+      this.render();
+    } catch (error) {
+      errorTracker.logError('Error initializing rules controller', { error });
+    }
+  }
+
+  /**
+   * Draw the list of rules in priority order
+   */
+  render() {
+    const { ruleList, noRulesMsg } = this.elements;
+    const rules = this._getRules();
+
+    // Remove previous rule rows but keep the empty-state message
+    ruleList.querySelectorAll('.rule-item').forEach(item => item.remove());
+    noRulesMsg.classList.toggle('hidden', rules.length > 0);
+
+    rules.forEach((rule, index) => {
+      const item = document.createElement('div');
+      item.className = `rule-item${rule.enabled ? '' : ' disabled'}`;
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = rule.enabled;
+      enabled.title = rule.enabled ? 'Disable rule' : 'Enable rule';
+      enabled.addEventListener('change', () => {
+        this._updateRule(rule.id, { enabled: enabled.checked });
+      });
+
+      const summary = document.createElement('div');
+      summary.className = 'rule-summary';
+
+      const name = document.createElement('div');
+      name.className = 'rule-name';
+      name.textContent = `${rule.name || `Rule ${index + 1}`}: ${RULE_ACTIONS[rule.action]}`;
+
+      const conditions = document.createElement('div');
+      conditions.className = 'rule-conditions';
+      conditions.textContent = describeRule(rule, this.calendars);
+
+      summary.appendChild(name);
+      summary.appendChild(conditions);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'rule-buttons';
+      buttons.appendChild(this._createButton('↑', 'Check this rule earlier', index === 0, () => this._moveRule(index, -1)));
+      buttons.appendChild(this._createButton('Edit', 'Edit rule', false, () => this.showForm(rule)));
+      buttons.appendChild(this._createButton('✕', 'Delete rule', false, () => this._deleteRule(rule.id)));
+
+      item.appendChild(enabled);
+      item.appendChild(summary);
+      item.appendChild(buttons);
+      ruleList.appendChild(item);
+    });
+  }
+
+  /**
+   * Open the rule form, filled in from an existing rule or blank for a new one
+   * @param {Object} [rule] - Rule to edit
+   */
+  showForm(rule = null) {
+    const el = this.elements;
+    const editing = rule && rule.id ? rule : createRule();
+    const conditions = editing.conditions;
+
+    this.editingRuleId = rule && rule.id ? rule.id : null;
+
+    el.ruleName.value = editing.name;
+    el.ruleKeywords.value = conditions.titleKeywords.join(', ');
+    el.ruleOrganizers.value = conditions.organizers.join(', ');
+    el.ruleMinAttendees.value = conditions.minAttendees ?? '';
+    el.ruleMaxAttendees.value = conditions.maxAttendees ?? '';
+    el.ruleCalendar.value = conditions.calendarId;
+    el.ruleRsvp.value = conditions.responseStatus;
+    el.ruleAction.value = editing.action;
+    el.ruleRingtone.value = editing.ringtone;
+    el.ruleTiming.value = editing.notificationTiming !== null ? String(Math.round(editing.notificationTiming / 60)) : '';
+    el.ruleStagesMode.value = editing.reminderStages !== null ? 'custom' : '';
+    renderReminderStages(el.ruleStages, editing.reminderStages || []);
+    this._updateStagesVisibility();
+
+    el.ruleForm.classList.remove('hidden');
+    el.addRuleButton.classList.add('hidden');
+    el.ruleName.focus();
+  }
+
+  /**
+   * Close the rule form without saving
+   */
+  hideForm() {
+    this.editingRuleId = null;
+    this.elements.ruleForm.classList.add('hidden');
+    this.elements.addRuleButton.classList.remove('hidden');
+  }
+
+  /**
+   * Save the rule in the form, adding it to the end of the list if it's new
+   * @param {Event} event - Form submit event
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const el = this.elements;
+    const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+    const toCount = value => (value === '' ? null : parseInt(value, 10));
+
+    const rule = createRule({
+      id: this.editingRuleId || undefined,
+      name: el.ruleName.value,
+      enabled: true,
+      conditions: {
+        titleKeywords: splitList(el.ruleKeywords.value),
+        organizers: splitList(el.ruleOrganizers.value),
+        minAttendees: toCount(el.ruleMinAttendees.value),
+        maxAttendees: toCount(el.ruleMaxAttendees.value),
+        calendarId: el.ruleCalendar.value,
+        responseStatus: el.ruleRsvp.value
+      },
+      action: el.ruleAction.value,
+      ringtone: el.ruleRingtone.value,
+      notificationTiming: el.ruleTiming.value === '' ? null : parseInt(el.ruleTiming.value, 10) * 60,
+      reminderStages: el.ruleStagesMode.value === 'custom' ? readReminderStages(el.ruleStages) : null
+    });
+
+    const rules = this._getRules();
+    const existingIndex = rules.findIndex(existing => existing.id === rule.id);
+    if (existingIndex >= 0) {
+      rule.enabled = rules[existingIndex].enabled;
+      rules[existingIndex] = rule;
+    } else {
+      rules.push(rule);
+    }
+
+    if (await this._saveRules(rules)) {
+      this.hideForm();
+    }
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Cache DOM elements
+   * @private
+   */
+  _cacheElements() {
+    const ids = {
+      ruleList: 'rule-list',
+      noRulesMsg: 'no-rules-msg',
+      addRuleButton: 'add-rule',
+      ruleForm: 'rule-form',
+      ruleName: 'rule-name',
+      ruleKeywords: 'rule-keywords',
+      ruleOrganizers: 'rule-organizers',
+      ruleMinAttendees: 'rule-min-attendees',
+      ruleMaxAttendees: 'rule-max-attendees',
+      ruleCalendar: 'rule-calendar',
+      ruleRsvp: 'rule-rsvp',
+      ruleAction: 'rule-action',
+      ruleRingtone: 'rule-ringtone',
+      ruleTiming: 'rule-timing',
+      ruleStagesMode: 'rule-stages-mode',
+      ruleStages: 'rule-stages',
+      ruleAddStageButton: 'rule-add-stage',
+      saveRuleButton: 'save-rule',
+      cancelRuleButton: 'cancel-rule'
+    };
+
+    Object.entries(ids).forEach(([key, id]) => {
+      this.elements[key] = document.getElementById(id);
+    });
+  }
+
+  /**
+   * Set up the add, save and cancel handlers
+   * @private
+   */
+  _setupEventListeners() {
+    this.elements.addRuleButton?.addEventListener('click', () => this.showForm());
+    this.elements.cancelRuleButton?.addEventListener('click', this.hideForm);
+    this.elements.ruleForm?.addEventListener('submit', this.handleSubmit);
+    this.elements.ruleStagesMode?.addEventListener('change', () => this._updateStagesVisibility());
+    this.elements.ruleAddStageButton?.addEventListener('click', () => addReminderStage(this.elements.ruleStages));
+  }
+
+  /**
+   * Show the rule's own reminder stages only when it overrides the settings
+   * @private
+   */
+  _updateStagesVisibility() {
+    const custom = this.elements.ruleStagesMode.value === 'custom';
+    this.elements.ruleStages.classList.toggle('hidden', !custom);
+    this.elements.ruleAddStageButton.classList.toggle('hidden', !custom);
+  }
+
+  /**
+   * Offer each known calendar as a rule condition
+   * @private
+   */
+  _populateCalendarOptions() {
+    const select = this.elements.ruleCalendar;
+    if (!select) return;
+
+    this.calendars.forEach(calendar => {
+      const option = document.createElement('option');
+      option.value = calendar.id;
+      option.textContent = calendar.summary;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Create a small button for a rule row
+   * @private
+   */
+  _createButton(label, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'small-button';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Get a copy of the saved rules
+   * @returns {Array} The rules in priority order
+   * @private
+   */
+  _getRules() {
+    return [...settingsService.getSetting('ringRules', [])];
+  }
+
+  /**
+   * Change fields on a saved rule
+   * @private
+   */
+  async _updateRule(ruleId, changes) {
+    const rules = this._getRules().map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule));
+    await this._saveRules(rules);
+  }
+
+  /**
+   * Swap a rule with its neighbour to change its priority
+   * @private
+   */
+  async _moveRule(index, offset) {
+    const rules = this._getRules();
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    await this._saveRules(rules);
+  }
+
+  /**
+   * Remove a rule
+   * @private
+   */
+  async _deleteRule(ruleId) {
+    await this._saveRules(this._getRules().filter(rule => rule.id !== ruleId));
+  }
+
+  /**
+   * Save the rules and redraw the list
+   * Saving notifies the background, which re-evaluates the scheduled rings.
+   * @param {Array} rules - Rules in priority order
+   * @returns {Promise<boolean>} True if the rules were saved
+   * @private
+   */
+  async _saveRules(rules) {
+    try {
+      await settingsService.saveSettings({ ringRules: rules });
+      console.log(`Saved ${rules.length} ring rules`);
+      this.render();
+      return true;
+    } catch (error) {
+      console.error('Failed to save ring rules:', error);
+      errorTracker.logError('Failed to save ring rules', { error });
+      
+      // Show the failure on the form's save button, then reset it
+      const saveButton = this.elements.saveRuleButton;
+      if (saveButton) {
+        saveButton.textContent = 'Save Failed';
+        saveButton.title = error.message || '';
+        setTimeout(() => {
+          saveButton.textContent = 'Save rule';
+          saveButton.title = '';
+        }, 1500);
+      }
+      return false;
+    }
+  }
+}
+
+// Export as singleton
+const rulesController = new RulesController();
+export default rulesController;
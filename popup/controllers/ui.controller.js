@@ -7,6 +7,23 @@ import errorTracker from '../../utils/error-tracking.js';
 import authService from '../services/auth.service.js';
 import settingsService from '../services/settings.service.js';
 import meetingsService from '../services/meetings.service.js';
+import { addReminderStage, readReminderStages, renderReminderStages } from '../components/reminder-stages.js';
+import { DEFAULT_MAX_SNOOZES, DEFAULT_SNOOZE_OPTION } from '../../utils/snooze.js';
+import { DEFAULT_ESCALATION } from '../../utils/escalation.js';
+import { parseEventTime } from '../../utils/event-time.js';
+import { SynthRingtone, getRingPattern } from '../../utils/ring-patterns.js';
+import {
+  DEFAULT_RINGTONE_VOLUME,
+  FADE_IN_SECONDS,
+  fadeVolume,
+  getRingtoneUrl,
+  getRingtoneVolume,
+  listOutputDevices,
+  setOutputDevice
+} from '../../utils/ringtone-playback.js';
+
+// How long a synthesized ring pattern is previewed for
+const SYNTH_PREVIEW_SECONDS = 8;
 
 class UIController {
   constructor() {
@@ -23,8 +40,27 @@ class UIController {
       upcomingList: null,
       noMeetingsMsg: null,
       notificationTiming: null,
+      useCalendarReminders: null,
+      deliveryMode: null,
+      defaultSnooze: null,
+      maxSnoozes: null,
+      escalationDelay: null,
+      escalateLouder: null,
+      escalateRefocus: null,
+      escalateRenotify: null,
+      ringUntilEnd: null,
       autoJoinCheckbox: null,
+      callerPhotos: null,
       ringtoneSelect: null,
+      ringtoneVolume: null,
+      ringtoneVolumeValue: null,
+      ringtoneFadeIn: null,
+      audioOutput: null,
+      findAudioOutputsButton: null,
+      calendarList: null,
+      noCalendarsMsg: null,
+      reminderStages: null,
+      addReminderStageButton: null,
       testSoundButton: null,
       saveSettingsButton: null,
       firstRunModal: null,
@@ -33,8 +69,14 @@ class UIController {
       pollingError: null
     };
     
-    // Audio for ringtone preview
+    // Audio for ringtone preview, its fade-in while one is running, and
+    // the timer that ends a ring pattern preview
     this.previewAudio = null;
+    this.previewFade = null;
+    this.previewTimer = null;
+    
+    // Meetings currently shown in the upcoming list
+    this.displayedMeetings = [];
     
     // UI state
     this.isLoading = false;
@@ -89,8 +131,27 @@ class UIController {
       
       // Settings
       this.elements.notificationTiming = getElement('notification-timing');
+      this.elements.useCalendarReminders = getElement('use-calendar-reminders');
+      this.elements.deliveryMode = getElement('delivery-mode');
+      this.elements.defaultSnooze = getElement('default-snooze');
+      this.elements.maxSnoozes = getElement('max-snoozes');
+      this.elements.escalationDelay = getElement('escalation-delay');
+      this.elements.escalateLouder = getElement('escalate-louder');
+      this.elements.escalateRefocus = getElement('escalate-refocus');
+      this.elements.escalateRenotify = getElement('escalate-renotify');
+      this.elements.ringUntilEnd = getElement('ring-until-end');
       this.elements.autoJoinCheckbox = getElement('auto-join');
+      this.elements.callerPhotos = getElement('caller-photos');
       this.elements.ringtoneSelect = getElement('ringtone-select');
+      this.elements.ringtoneVolume = getElement('ringtone-volume');
+      this.elements.ringtoneVolumeValue = getElement('ringtone-volume-value');
+      this.elements.ringtoneFadeIn = getElement('ringtone-fade-in');
+      this.elements.audioOutput = getElement('audio-output');
+      this.elements.findAudioOutputsButton = getElement('find-audio-outputs');
+      this.elements.calendarList = getElement('calendar-list');
+      this.elements.noCalendarsMsg = getElement('no-calendars-msg');
+      this.elements.reminderStages = getElement('reminder-stages');
+      this.elements.addReminderStageButton = getElement('add-reminder-stage');
       
       // First run modal
       this.elements.firstRunModal = getElement('first-run-modal');
@@ -284,8 +345,9 @@ class UIController {
   /**
    * Update the trigger threshold display in the UI
    * @param {number} minutes - The trigger threshold in minutes
+   * @param {string} [timingMode] - 'calendar' when Google Calendar reminders take precedence
    */
-  updateTriggerThreshold(minutes) {
+  updateTriggerThreshold(minutes, timingMode = 'fixed') {
     try {
       console.log(`Updating trigger threshold display to ${minutes} minutes`);
       
@@ -331,16 +393,23 @@ class UIController {
       }
       
       // Update the trigger threshold text
-      let thresholdText = 'Notification timing: ';
+      let timingText;
       if (minutes <= 0) {
-        thresholdText += 'At start time';
+        timingText = 'At start time';
+      } else if (minutes < 1) {
+        timingText = `${Math.round(minutes * 60)} seconds before`;
       } else if (minutes === 1) {
-        thresholdText += '1 minute before';
+        timingText = '1 minute before';
       } else {
-        thresholdText += `${minutes} minutes before`;
+        timingText = `${minutes} minutes before`;
+      }
+      
+      // Events with a Google Calendar reminder ring at that instead
+      if (timingMode === 'calendar') {
+        timingText = `Google Calendar reminder, else ${timingText.toLowerCase()}`;
       }
       
-      thresholdElement.textContent = thresholdText;
+      thresholdElement.textContent = `Notification timing: ${timingText}`;
       
     } catch (error) {
       console.error('Error updating trigger threshold display:', error);
@@ -385,15 +454,16 @@ class UIController {
   /**
    * Update the polling interval display in the UI
    * @param {number} minutes - The polling interval in minutes
+   * @param {string} [reason] - Why the background chose this interval (e.g. 'overnight')
    */
-  updatePollingInterval(minutes) {
+  updatePollingInterval(minutes, reason) {
     try {
-      console.log(`Updating polling interval display to ${minutes} minutes`);
+      console.log(`Updating polling interval display to ${minutes} minutes (${reason || 'no reason given'})`);
       
-      // Find the polling info element
-      const pollingInfo = this.elements.statusSection?.querySelector('#polling-info');
-      if (!pollingInfo) {
-        console.warn('Polling info element not found');
+      // Find the polling interval line, leaving the rest of the polling info intact
+      const intervalElement = this.elements.statusSection?.querySelector('#polling-interval');
+      if (!intervalElement) {
+        console.warn('Polling interval element not found');
         return;
       }
       
@@ -407,7 +477,12 @@ class UIController {
         intervalText += `Every ${minutes} minutes`;
       }
       
-      pollingInfo.textContent = intervalText;
+      // The interval adapts to upcoming meetings, time of day, idle and battery state
+      if (reason && reason !== 'normal') {
+        intervalText += ` (${reason})`;
+      }
+      
+      intervalElement.textContent = intervalText;
       
     } catch (error) {
       console.error('Error updating polling interval display:', error);
@@ -422,6 +497,9 @@ class UIController {
     try {
       console.log('Displaying meetings:', meetings);
       
+      // Keep the list so it can be redrawn when a meeting's preferences change
+      this.displayedMeetings = meetings;
+      
       // Get the meetings list container and no meetings message elements
       const meetingsList = this.elements.upcomingList;
       const noMeetingsMsg = this.elements.noMeetingsMsg;
@@ -444,9 +522,8 @@ class UIController {
       noMeetingsMsg.classList.add('hidden');
       
       // Sort meetings by start time (soonest first)
-      const now = new Date();
       const sortedMeetings = [...meetings].sort((a, b) => 
-        new Date(a.startTime) - new Date(b.startTime)
+        this._getMeetingStart(a) - this._getMeetingStart(b)
       );
       
       // Create and append meeting elements
@@ -457,26 +534,76 @@ class UIController {
         meetingElement.className = 'meeting-item';
         
         // Format meeting time
-        const startTime = new Date(meeting.startTime);
+        const startTime = this._getMeetingStart(meeting);
         const timeString = startTime.toLocaleTimeString([], { 
           hour: '2-digit', 
           minute: '2-digit',
           hour12: true 
         });
         
-        // Create meeting HTML
-        meetingElement.innerHTML = `
-          <div class="meeting-time">${timeString}</div>
-          <div class="meeting-details">
-            <div class="meeting-title">${meeting.summary || 'No title'}</div>
-            ${meeting.location ? `<div class="meeting-location">${meeting.location}</div>` : ''}
-          </div>
-          ${meeting.hangoutLink ? `
-            <a href="${meeting.hangoutLink}" target="_blank" class="join-button" title="Join meeting">
-              Join
-            </a>
-          ` : ''}
-        `;
+        const timeElement = document.createElement('div');
+        timeElement.className = 'meeting-time';
+        timeElement.textContent = timeString;
+        
+        const details = document.createElement('div');
+        details.className = 'meeting-details';
+        
+        const title = document.createElement('div');
+        title.className = 'meeting-title';
+        title.textContent = meeting.summary || 'No title';
+        details.appendChild(title);
+        
+        if (meeting.location) {
+          const location = document.createElement('div');
+          location.className = 'meeting-location';
+          location.textContent = meeting.location;
+          details.appendChild(location);
+        }
+        
+        // Mute and notification-only controls for this meeting and its series
+        const meetingPrefs = settingsService.getSetting('meetingPreferences', {})[meeting.id] || {};
+        const seriesPrefs = meeting.recurringEventId
+          ? settingsService.getSetting('seriesPreferences', {})[meeting.recurringEventId] || {}
+          : {};
+        if (meetingPrefs.muted || seriesPrefs.muted) {
+          meetingElement.classList.add('muted');
+        } else if (meetingPrefs.notifyOnly) {
+          meetingElement.classList.add('notify-only');
+        } else if (meeting.matchedRule) {
+          // Ring rules applied by the background on the last poll
+          if (meeting.matchedRule.action === 'ignore') {
+            meetingElement.classList.add('muted');
+          } else if (meeting.matchedRule.action === 'notify') {
+            meetingElement.classList.add('notify-only');
+          }
+          meetingElement.title = `Rule: ${meeting.matchedRule.name || 'unnamed'}`;
+        }
+        details.appendChild(this._createMeetingControls(meeting, meetingPrefs, seriesPrefs));
+        
+        meetingElement.appendChild(timeElement);
+        meetingElement.appendChild(details);
+        
+        // Join link for whichever provider hosts the call
+        const joinUrl = meeting.conference?.url || meeting.hangoutLink;
+        if (joinUrl) {
+          const provider = meeting.conference?.provider || 'meet';
+          const providerName = meeting.conference?.providerName || 'Google Meet';
+          
+          const join = document.createElement('a');
+          join.href = joinUrl;
+          join.target = '_blank';
+          join.className = 'join-button';
+          join.title = `Join on ${providerName}`;
+          
+          const icon = document.createElement('span');
+          icon.className = `provider-icon provider-${provider}`;
+          icon.textContent = this._getProviderIcon(provider);
+          icon.setAttribute('aria-label', providerName);
+          
+          join.appendChild(icon);
+          join.appendChild(document.createTextNode('Join'));
+          meetingElement.appendChild(join);
+        }
         
         meetingsList.appendChild(meetingElement);
       });
@@ -489,6 +616,215 @@ class UIController {
     }
   }
   
+  /**
+   * Build the mute and notification-only toggles for a meeting row
+   * Recurring meetings also get a series mute toggle and lead time picker.
+   * @param {Object} meeting - Calendar event shown in the row
+   * @param {Object} meetingPrefs - Current preferences for this occurrence
+   * @param {Object} seriesPrefs - Current preferences for its series
+   * @returns {HTMLElement} The controls container
+   * @private
+   */
+  _createMeetingControls(meeting, meetingPrefs, seriesPrefs) {
+    const controls = document.createElement('div');
+    controls.className = 'meeting-controls';
+    
+    const createToggle = (label, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'meeting-toggle';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    
+    controls.appendChild(createToggle(
+      meetingPrefs.muted ? 'Unmute' : 'Mute',
+      'Applies to this meeting only',
+      () => this._saveMeetingPreference(meeting, { muted: !meetingPrefs.muted })
+    ));
+    
+    controls.appendChild(createToggle(
+      meetingPrefs.notifyOnly ? 'Ring' : 'Notify only',
+      meetingPrefs.notifyOnly ? 'Ring with the call window' : 'Show a notification instead of the call window',
+      () => this._saveMeetingPreference(meeting, { notifyOnly: !meetingPrefs.notifyOnly })
+    ));
+    
+    controls.appendChild(this._createReminderPicker(meeting));
+    
+    if (!meeting.recurringEventId) {
+      return controls;
+    }
+    
+    const seriesId = meeting.recurringEventId;
+    controls.appendChild(createToggle(
+      seriesPrefs.muted ? 'Unmute series' : 'Mute series',
+      'Applies to every occurrence of this recurring meeting',
+      () => this._saveSeriesPreference(seriesId, { muted: !seriesPrefs.muted })
+    ));
+    
+    // Same choices as the global notification timing, in minutes
+    const timingSelect = document.createElement('select');
+    timingSelect.className = 'series-timing';
+    timingSelect.title = 'When to ring for this series';
+    [
+      ['', 'Default timing'],
+      ['0', 'At start time'],
+      ['1', '1 min before'],
+      ['3', '3 min before'],
+      ['5', '5 min before'],
+      ['10', '10 min before']
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      timingSelect.appendChild(option);
+    });
+    timingSelect.value = seriesPrefs.notificationTiming !== undefined
+      ? String(Math.round(seriesPrefs.notificationTiming / 60))
+      : '';
+    timingSelect.disabled = seriesPrefs.muted === true;
+    timingSelect.addEventListener('change', () => {
+      const minutes = timingSelect.value;
+      this._saveSeriesPreference(seriesId, {
+        notificationTiming: minutes === '' ? undefined : parseInt(minutes, 10) * 60
+      });
+    });
+    
+    controls.appendChild(timingSelect);
+    return controls;
+  }
+  
+  /**
+   * Build the "alert me X minutes before" picker for a single meeting
+   * @param {Object} meeting - Calendar event shown in the row
+   * @returns {HTMLElement} The select element
+   * @private
+   */
+  _createReminderPicker(meeting) {
+    const picker = document.createElement('select');
+    picker.className = 'meeting-reminder';
+    picker.title = 'When to ring for this meeting';
+    
+    const choices = [0, 1, 2, 5, 10, 15, 30];
+    const current = meeting.customReminderMinutes;
+    if (current !== null && current !== undefined && !choices.includes(current)) {
+      choices.push(current);
+      choices.sort((a, b) => a - b);
+    }
+    
+    picker.appendChild(new Option('Alert me: usual time', ''));
+    choices.forEach(minutes => {
+      const label = minutes === 0 ? 'Alert me: at start' : `Alert me: ${minutes} min before`;
+      picker.appendChild(new Option(label, String(minutes)));
+    });
+    picker.value = current !== null && current !== undefined ? String(current) : '';
+    
+    picker.addEventListener('change', async () => {
+      const minutesBefore = picker.value === '' ? null : parseInt(picker.value, 10);
+      try {
+        await meetingsService.setReminder(meeting.id, minutesBefore);
+        meeting.customReminderMinutes = minutesBefore;
+        console.log(`Custom ring time for meeting ${meeting.id}:`, minutesBefore ?? 'default');
+      } catch (error) {
+        console.error('Failed to set meeting reminder:', error);
+        picker.value = current !== null && current !== undefined ? String(current) : '';
+        this._showErrorUI('Failed to set meeting reminder');
+      }
+    });
+    
+    return picker;
+  }
+  
+  /**
+   * Update the preferences for a single meeting occurrence and redraw the list
+   * Preferences expire when the meeting ends, so the settings don't grow forever.
+   * @param {Object} meeting - Calendar event
+   * @param {Object} changes - Preferences to change ({muted}, {notifyOnly})
+   * @private
+   */
+  async _saveMeetingPreference(meeting, changes) {
+    try {
+      const meetingPreferences = { ...settingsService.getSetting('meetingPreferences', {}) };
+      const endTime = parseEventTime(meeting.end?.dateTime || meeting.end?.date) || this._getMeetingStart(meeting);
+      const updated = { ...meetingPreferences[meeting.id], ...changes, until: endTime.getTime() };
+      
+      if (!updated.muted && !updated.notifyOnly) {
+        delete meetingPreferences[meeting.id];
+      } else {
+        meetingPreferences[meeting.id] = updated;
+      }
+      
+      await settingsService.saveSettings({ meetingPreferences });
+      console.log(`Updated preferences for meeting ${meeting.id}:`, meetingPreferences[meeting.id] || 'default');
+      
+      // Saving notifies the background, which reschedules the rings
+      this.displayMeetings(this.displayedMeetings);
+    } catch (error) {
+      errorTracker.logError('Failed to save meeting preference', { error, eventId: meeting.id });
+      this._showErrorUI('Failed to save meeting preference');
+    }
+  }
+  
+  /**
+   * Update the preferences for a recurring series and redraw the list
+   * Series left with no overrides are dropped from the settings.
+   * @param {string} seriesId - The series' recurringEventId
+   * @param {Object} changes - Preferences to change ({muted}, {notificationTiming})
+   * @private
+   */
+  async _saveSeriesPreference(seriesId, changes) {
+    try {
+      const seriesPreferences = { ...settingsService.getSetting('seriesPreferences', {}) };
+      const updated = { ...seriesPreferences[seriesId], ...changes };
+      
+      if (updated.notificationTiming === undefined) {
+        delete updated.notificationTiming;
+      }
+      
+      if (!updated.muted && updated.notificationTiming === undefined) {
+        delete seriesPreferences[seriesId];
+      } else {
+        seriesPreferences[seriesId] = updated;
+      }
+      
+      await settingsService.saveSettings({ seriesPreferences });
+      console.log(`Updated preferences for series ${seriesId}:`, seriesPreferences[seriesId] || 'default');
+      
+      // Saving notifies the background, which reschedules the rings
+      this.displayMeetings(this.displayedMeetings);
+    } catch (error) {
+      errorTracker.logError('Failed to save series preference', { error, seriesId });
+      this._showErrorUI('Failed to save series preference');
+    }
+  }
+  
+  /**
+   * Get a meeting's start time from either a raw calendar event or a processed meeting
+   * @param {Object} meeting - Meeting or event object
+   * @returns {Date} The start time, an invalid date if there is none
+   * @private
+   */
+  _getMeetingStart(meeting) {
+    return parseEventTime(meeting.startTime || meeting.start?.dateTime || meeting.start?.date || meeting.start) || new Date(NaN);
+  }
+  
+  /**
+   * Get the short label shown in a provider's icon badge
+   * @param {string} provider - Provider key from the conference link extractor
+   * @returns {string} The badge label
+   * @private
+   */
+  _getProviderIcon(provider) {
+    const icons = {
+      meet: 'M',
+      zoom: 'Z',
+      teams: 'T',
+      webex: 'W'
+    };
+    return icons[provider] || '▶';
+  }
+  
   /**
    * Clear any polling error messages
    */
@@ -644,6 +980,21 @@ class UIController {
         this.elements.testSoundButton.addEventListener('click', () => this.handleTestRingtone());
       }
       
+      // Ringtone volume slider shows its value as it moves
+      if (this.elements.ringtoneVolume) {
+        this.elements.ringtoneVolume.addEventListener('input', () => this._displayRingtoneVolume());
+      }
+      
+      // Find Audio Outputs Button
+      if (this.elements.findAudioOutputsButton) {
+        this.elements.findAudioOutputsButton.addEventListener('click', () => this._findAudioOutputs());
+      }
+      
+      // Add Reminder Stage Button
+      if (this.elements.addReminderStageButton) {
+        this.elements.addReminderStageButton.addEventListener('click', () => addReminderStage(this.elements.reminderStages));
+      }
+      
       // First Run Continue Button - Use a bound method for better context handling
       if (this.elements.firstRunContinue) {
         console.log('Setting up first run continue button listener');
@@ -1481,8 +1832,22 @@ _hideElement(element) {
       
       const settings = {
         notificationTiming: notificationTimingMinutes * 60, // Convert minutes to seconds
+        timingMode: this.elements.useCalendarReminders?.checked ? 'calendar' : 'fixed',
+        deliveryMode: this.elements.deliveryMode?.value || 'overlay',
+        defaultSnooze: this.elements.defaultSnooze?.value || DEFAULT_SNOOZE_OPTION,
+        maxSnoozes: parseInt(this.elements.maxSnoozes?.value || DEFAULT_MAX_SNOOZES, 10),
+        escalation: this._getEscalationSettings(),
         autoJoin: this.elements.autoJoinCheckbox.checked,
-        ringtone: this.elements.ringtoneSelect.value
+        callerPhotos: this.elements.callerPhotos?.checked || false,
+        ringtone: this.elements.ringtoneSelect.value,
+        ringtoneVolume: parseInt(this.elements.ringtoneVolume?.value ?? DEFAULT_RINGTONE_VOLUME, 10),
+        ringtoneFadeIn: this.elements.ringtoneFadeIn?.checked || false,
+        audioOutput: this._getSelectedAudioOutput(),
+        calendarSelection: {
+          ...settingsService.getSetting('calendarSelection', {}),
+          ...this._getCalendarSelection()
+        },
+        reminderStages: readReminderStages(this.elements.reminderStages)
       };
       
       console.log('💾 UI: Settings to be saved (in seconds):', {
@@ -1508,9 +1873,15 @@ _hideElement(element) {
       
       try {
         console.log('💾 UI: Attempting to save settings...');
+        const photosWereOn = settingsService.getSetting('callerPhotos', false);
         await settingsService.saveSettings(settings);
         console.log('✅ UI: Settings saved successfully');
         
+        // Turning organizer photos on needs the user's consent to look people up
+        if (settings.callerPhotos && !photosWereOn) {
+          this._requestCallerPhotoAccess();
+        }
+        
         // Verify the settings were saved correctly
         console.log('🔍 UI: Verifying saved settings by loading them back...');
         const verifiedSettings = await settingsService.loadSettings();
@@ -1561,7 +1932,7 @@ _hideElement(element) {
   /**
    * Handle the test ringtone button click
    */
-  handleTestRingtone() {
+  async handleTestRingtone() {
     try {
       // If we already have audio playing, just stop it and reset UI
       if (this.previewAudio) {
@@ -1572,6 +1943,24 @@ _hideElement(element) {
       // Get selected ringtone
       const selectedRingtone = this.elements.ringtoneSelect.value;
       
+      // Preview the volume, fade-in and output device as they are in the form
+      const previewSettings = {
+        ringtoneVolume: parseInt(this.elements.ringtoneVolume?.value ?? DEFAULT_RINGTONE_VOLUME, 10),
+        ringtoneFadeIn: this.elements.ringtoneFadeIn?.checked || false
+      };
+      
+      // Ring patterns are synthesized, so there is nothing to load; they ring
+      // on repeat, so the preview stops by itself after a few cycles
+      const pattern = getRingPattern(selectedRingtone, settingsService.getSetting('ringPatterns', []));
+      if (pattern) {
+        this.previewAudio = new SynthRingtone(pattern);
+        this.elements.testSoundButton.textContent = 'Stop';
+        this.elements.testSoundButton.onclick = () => this._stopRingtonePreview();
+        this.previewTimer = setTimeout(() => this._stopRingtonePreview(), SYNTH_PREVIEW_SECONDS * 1000);
+        await this._startPreviewPlayback(previewSettings);
+        return;
+      }
+      
       // Update button text immediately to show loading state
       this.elements.testSoundButton.textContent = 'Loading...';
       
@@ -1589,17 +1978,7 @@ _hideElement(element) {
             // Update button before playing
             this.elements.testSoundButton.textContent = 'Stop';
             
-            // Try playing with better error handling
-            try {
-              const playPromise = this.previewAudio.play();
-              if (playPromise !== undefined) {
-                playPromise.catch(e => {
-                  console.warn('Audio play promise rejected:', e);
-                });
-              }
-            } catch (playError) {
-              console.error('Error during audio play:', playError);
-            }
+            await this._startPreviewPlayback(previewSettings);
           }
         } catch (e) {
           console.error('Error in canplaythrough handler:', e);
@@ -1616,8 +1995,11 @@ _hideElement(element) {
       });
       
       // Set source after adding event listeners
-      this.previewAudio.src = `../assets/audio/${selectedRingtone}-ring.mp3`;
-      this.previewAudio.load(); // Start loading the audio
+      const previewAudio = this.previewAudio;
+      const soundUrl = await getRingtoneUrl(selectedRingtone);
+      if (this.previewAudio !== previewAudio) return; // Stopped while loading
+      previewAudio.src = soundUrl;
+      previewAudio.load(); // Start loading the audio
       
       // Change button function to stop playback
       this.elements.testSoundButton.onclick = () => this._stopRingtonePreview();
@@ -1730,8 +2112,27 @@ _hideElement(element) {
     this.elements.upcomingList = getElement('upcoming-list');
     this.elements.noMeetingsMsg = getElement('no-meetings');
     this.elements.notificationTiming = getElement('notification-timing');
+    this.elements.useCalendarReminders = getElement('use-calendar-reminders');
+    this.elements.deliveryMode = getElement('delivery-mode');
+    this.elements.defaultSnooze = getElement('default-snooze');
+    this.elements.maxSnoozes = getElement('max-snoozes');
+    this.elements.escalationDelay = getElement('escalation-delay');
+    this.elements.escalateLouder = getElement('escalate-louder');
+    this.elements.escalateRefocus = getElement('escalate-refocus');
+    this.elements.escalateRenotify = getElement('escalate-renotify');
+    this.elements.ringUntilEnd = getElement('ring-until-end');
     this.elements.autoJoinCheckbox = getElement('auto-join');
+    this.elements.callerPhotos = getElement('caller-photos');
     this.elements.ringtoneSelect = getElement('ringtone');
+    this.elements.ringtoneVolume = getElement('ringtone-volume');
+    this.elements.ringtoneVolumeValue = getElement('ringtone-volume-value');
+    this.elements.ringtoneFadeIn = getElement('ringtone-fade-in');
+    this.elements.audioOutput = getElement('audio-output');
+    this.elements.findAudioOutputsButton = getElement('find-audio-outputs');
+    this.elements.calendarList = getElement('calendar-list');
+    this.elements.noCalendarsMsg = getElement('no-calendars-msg');
+    this.elements.reminderStages = getElement('reminder-stages');
+    this.elements.addReminderStageButton = getElement('add-reminder-stage');
     this.elements.testSoundButton = getElement('test-sound');
     this.elements.saveSettingsButton = getElement('save-settings');
     this.elements.firstRunModal = getElement('first-run-modal');
@@ -1888,6 +2289,42 @@ _hideElement(element) {
         console.error('❌ UI: notificationTiming select element not found in DOM');
       }
       
+      // Update Google Calendar reminder timing checkbox
+      if (this.elements.useCalendarReminders) {
+        this.elements.useCalendarReminders.checked = settings.timingMode === 'calendar';
+      }
+      
+      // Update delivery mode select
+      if (this.elements.deliveryMode) {
+        this.elements.deliveryMode.value = settings.deliveryMode || 'overlay';
+      }
+      
+      // Update snooze selects
+      if (this.elements.defaultSnooze) {
+        this.elements.defaultSnooze.value = settings.defaultSnooze || DEFAULT_SNOOZE_OPTION;
+      }
+      if (this.elements.maxSnoozes) {
+        this.elements.maxSnoozes.value = String(settings.maxSnoozes ?? DEFAULT_MAX_SNOOZES);
+      }
+      
+      // Update ringtone volume, fade-in and output device
+      if (this.elements.ringtoneVolume) {
+        this.elements.ringtoneVolume.value = String(settings.ringtoneVolume ?? DEFAULT_RINGTONE_VOLUME);
+        this._displayRingtoneVolume();
+      }
+      if (this.elements.ringtoneFadeIn) {
+        this.elements.ringtoneFadeIn.checked = settings.ringtoneFadeIn === true;
+      }
+      
+      // Update organizer photos checkbox
+      if (this.elements.callerPhotos) {
+        this.elements.callerPhotos.checked = settings.callerPhotos === true;
+      }
+      this._displayAudioOutput(settings.audioOutput);
+      
+      // Update ring escalation controls
+      this._displayEscalationSettings({ ...DEFAULT_ESCALATION, ...settings.escalation });
+      
       // Update auto-join checkbox
       if (this.elements.autoJoinCheckbox) {
         const autoJoinValue = settings.autoJoin === true || settings.autoJoin === 'true' || settings.autoJoin === 1;
@@ -1939,6 +2376,12 @@ _hideElement(element) {
         console.error('❌ UI: ringtoneSelect element not found in DOM');
       }
       
+      // Update reminder stages
+      renderReminderStages(this.elements.reminderStages, settings.reminderStages);
+      
+      // Update calendar toggles
+      await this._displayCalendarList(settings);
+      
       console.log('🔄 UI: Settings applied to UI elements');
     } catch (error) {
       console.error('🔄 UI: Failed to load and display settings:', error);
@@ -1946,6 +2389,184 @@ _hideElement(element) {
     }
   }
   
+  /**
+   * Render a toggle for each calendar in the user's calendar list
+   * @param {Object} settings - Current settings (uses calendarSelection)
+   * @private
+   */
+  async _displayCalendarList(settings) {
+    const container = this.elements.calendarList;
+    if (!container) {
+      console.warn('Calendar list element not found in DOM');
+      return;
+    }
+    
+    const calendars = await meetingsService.getCalendarList();
+    const selection = settings.calendarSelection || {};
+    
+    // Remove previously rendered toggles but keep the empty-state message
+    container.querySelectorAll('.calendar-item').forEach(item => item.remove());
+    
+    if (this.elements.noCalendarsMsg) {
+      this.elements.noCalendarsMsg.classList.toggle('hidden', calendars.length > 0);
+    }
+    
+    calendars.forEach(calendar => {
+      // Untouched calendars follow their visibility in Google Calendar, matching the background
+      const enabled = typeof selection[calendar.id] === 'boolean'
+        ? selection[calendar.id]
+        : calendar.primary || (calendar.selected && !calendar.hidden);
+      
+      const item = document.createElement('label');
+      item.className = 'calendar-item';
+      item.title = calendar.id;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.calendarId = calendar.id;
+      checkbox.checked = enabled;
+      
+      const color = document.createElement('span');
+      color.className = 'calendar-color';
+      color.style.backgroundColor = calendar.backgroundColor || '#1a73e8';
+      
+      const name = document.createElement('span');
+      name.className = 'calendar-name';
+      name.textContent = calendar.primary ? `${calendar.summary} (primary)` : calendar.summary;
+      
+      item.appendChild(checkbox);
+      item.appendChild(color);
+      item.appendChild(name);
+      container.appendChild(item);
+    });
+  }
+  
+  /**
+   * Collect the calendar toggles into a calendar ID -> enabled map
+   * @returns {Object} The calendar selection to save
+   * @private
+   */
+  _getCalendarSelection() {
+    const selection = {};
+    
+    if (this.elements.calendarList) {
+      this.elements.calendarList.querySelectorAll('input[data-calendar-id]').forEach(checkbox => {
+        selection[checkbox.dataset.calendarId] = checkbox.checked;
+      });
+    }
+    
+    return selection;
+  }
+  
+  /**
+   * Show the ringtone volume slider's value next to it
+   * @private
+   */
+  _displayRingtoneVolume() {
+    if (this.elements.ringtoneVolume && this.elements.ringtoneVolumeValue) {
+      this.elements.ringtoneVolumeValue.textContent = `${this.elements.ringtoneVolume.value}%`;
+    }
+  }
+  
+  /**
+   * Select the saved output device, keeping it listed even if it isn't plugged in right now
+   * @param {Object} [audioOutput] - Saved output device as {deviceId, label}
+   * @private
+   */
+  _displayAudioOutput(audioOutput) {
+    const select = this.elements.audioOutput;
+    if (!select) return;
+    
+    const deviceId = audioOutput?.deviceId || '';
+    if (deviceId && !Array.from(select.options).some(option => option.value === deviceId)) {
+      select.appendChild(new Option(audioOutput.label || 'Saved device', deviceId));
+    }
+    select.value = deviceId;
+  }
+  
+  /**
+   * Get the output device picked in the form
+   * @returns {Object} Output device as {deviceId, label}, with an empty ID for the system default
+   * @private
+   */
+  _getSelectedAudioOutput() {
+    const select = this.elements.audioOutput;
+    if (!select || !select.value) {
+      return { deviceId: '', label: '' };
+    }
+    return { deviceId: select.value, label: select.options[select.selectedIndex].text };
+  }
+  
+  /**
+   * List the audio output devices to ring on
+   * Device IDs and names are only available once the extension may use the
+   * microphone. The popup can't ask for that itself, since it closes when the
+   * permission prompt opens, so without access this opens a tab that asks.
+   * @private
+   */
+  async _findAudioOutputs() {
+    const select = this.elements.audioOutput;
+    if (!select) return;
+    
+    const selected = this._getSelectedAudioOutput();
+    
+    try {
+      const permission = await navigator.permissions.query({ name: 'microphone' });
+      if (permission.state !== 'granted') {
+        await chrome.tabs.create({ url: chrome.runtime.getURL('audio-access/audio-access.html') });
+        return;
+      }
+    } catch (error) {
+      console.warn('Could not check microphone access, output devices may be unnamed:', error);
+    }
+    
+    try {
+      const devices = await listOutputDevices();
+      
+      // Rebuild the list, keeping the system default first
+      Array.from(select.options).slice(1).forEach(option => option.remove());
+      devices.forEach(device => select.appendChild(new Option(device.label, device.deviceId)));
+      this._displayAudioOutput(selected);
+      
+      if (devices.length === 0 && this.elements.findAudioOutputsButton) {
+        this.elements.findAudioOutputsButton.textContent = 'None found';
+      }
+    } catch (error) {
+      console.error('Failed to list audio outputs:', error);
+      errorTracker.logError('Failed to list audio outputs', { error });
+    }
+  }
+  
+  /**
+   * Collect the ring escalation controls into an escalation policy
+   * @returns {Object} The escalation policy to save
+   * @private
+   */
+  _getEscalationSettings() {
+    const el = this.elements;
+    return {
+      afterSeconds: parseInt(el.escalationDelay?.value || DEFAULT_ESCALATION.afterSeconds, 10),
+      louder: el.escalateLouder?.checked ?? DEFAULT_ESCALATION.louder,
+      refocus: el.escalateRefocus?.checked ?? DEFAULT_ESCALATION.refocus,
+      renotify: el.escalateRenotify?.checked ?? DEFAULT_ESCALATION.renotify,
+      ringUntilEnd: el.ringUntilEnd?.checked ?? DEFAULT_ESCALATION.ringUntilEnd
+    };
+  }
+  
+  /**
+   * Show an escalation policy in the ring escalation controls
+   * @param {Object} escalation - Escalation policy
+   * @private
+   */
+  _displayEscalationSettings(escalation) {
+    const el = this.elements;
+    if (el.escalationDelay) el.escalationDelay.value = String(escalation.afterSeconds);
+    if (el.escalateLouder) el.escalateLouder.checked = escalation.louder;
+    if (el.escalateRefocus) el.escalateRefocus.checked = escalation.refocus;
+    if (el.escalateRenotify) el.escalateRenotify.checked = escalation.renotify;
+    if (el.ringUntilEnd) el.ringUntilEnd.checked = escalation.ringUntilEnd;
+  }
+  
   /**
    * Display the user's email address
    * @private
@@ -2069,14 +2690,65 @@ _hideElement(element) {
     }
   }
   
+  /**
+   * Ask the background to request access to other people's profiles
+   * The background asks, so the consent window doesn't close along with the popup.
+   * Without access the call window keeps showing initials.
+   * @private
+   */
+  _requestCallerPhotoAccess() {
+    chrome.runtime.sendMessage({ action: 'enableCallerPhotos' }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Could not request caller photo access:', chrome.runtime.lastError);
+      } else if (!response?.granted) {
+        console.warn('Caller photo access was not granted, the call window will show initials');
+      }
+    });
+  }
+  
+  /**
+   * Play the ringtone preview at the form's volume, fade-in and output device
+   * @param {Object} previewSettings - Volume and fade-in from the form
+   * @private
+   */
+  async _startPreviewPlayback(previewSettings) {
+    const previewVolume = getRingtoneVolume(previewSettings);
+    
+    await setOutputDevice(this.previewAudio, this.elements.audioOutput?.value);
+    this.previewAudio.volume = previewSettings.ringtoneFadeIn ? 0 : previewVolume;
+    if (previewSettings.ringtoneFadeIn) {
+      this.previewFade = fadeVolume(this.previewAudio, previewVolume, FADE_IN_SECONDS);
+    }
+    
+    // Try playing with better error handling
+    try {
+      const playPromise = this.previewAudio.play();
+      if (playPromise !== undefined) {
+        playPromise.catch(e => {
+          console.warn('Audio play promise rejected:', e);
+        });
+      }
+    } catch (playError) {
+      console.error('Error during audio play:', playError);
+    }
+  }
+  
   /**
    * Stop the ringtone preview playback
    * @private
    */
   _stopRingtonePreview() {
+    clearInterval(this.previewFade);
+    this.previewFade = null;
+    clearTimeout(this.previewTimer);
+    this.previewTimer = null;
+    
     if (this.previewAudio) {
       this.previewAudio.pause();
       this.previewAudio.currentTime = 0;
+      if (this.previewAudio.src?.startsWith('blob:')) {
+        URL.revokeObjectURL(this.previewAudio.src);
+      }
       this.previewAudio = null;
     }
     
@@ -16,6 +16,10 @@ import authService from './services/auth.service.js';
 import settingsService from './services/settings.service.js';
 import meetingsService from './services/meetings.service.js';
 import uiController from './controllers/ui.controller.js';
+import rulesController from './controllers/rules.controller.js';
+import historyController from './controllers/history.controller.js';
+import ringtonesController from './controllers/ringtones.controller.js';
+import patternsController from './controllers/patterns.controller.js';
 
 // Communication with background service worker
 let backgroundPort = null;
@@ -33,6 +37,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize the UI controller
     await uiController.init();
     
+    // Initialize the ring rules editor once settings are loaded
+    await rulesController.init();
+    
+    // Offer uploaded ringtones in the ringtone selects
+    await ringtonesController.init();
+    
+    // Offer synthesized ring patterns too, and their editor
+    await patternsController.init();
+    
+    // Initialize the Recent calls tab
+    await historyController.init();
+    
     // Establish connection with background script
     connectToBackground();
     
@@ -376,11 +392,11 @@ function handleStatusUpdate(statusData) {
     
     // Update polling settings
     if (statusData.pollInterval !== undefined) {
-      uiController.updatePollingInterval(statusData.pollInterval);
+      uiController.updatePollingInterval(statusData.pollInterval, statusData.pollReason);
     }
     
     if (statusData.triggerThreshold !== undefined) {
-      uiController.updateTriggerThreshold(statusData.triggerThreshold);
+      uiController.updateTriggerThreshold(statusData.triggerThreshold, statusData.timingMode);
     }
     
     // Update service status with monitoring state
@@ -5,6 +5,7 @@
 
 import errorTracker from '../../utils/error-tracking.js';
 import authService from './auth.service.js';
+import { extractConferenceLink } from '../../utils/conference-links.js';
 
 class MeetingsService {
   constructor() {
@@ -110,6 +111,36 @@ class MeetingsService {
     return this.upcomingMeetings;
   }
   
+  /**
+   * Get the user's calendar list as last fetched by the background worker
+   * @returns {Promise<Array>} Array of calendars ({id, summary, primary, selected, hidden, backgroundColor})
+   */
+  async getCalendarList() {
+    try {
+      const data = await chrome.storage.local.get('calendarList');
+      return data.calendarList || [];
+    } catch (error) {
+      errorTracker.logError('Error loading calendar list', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Set a custom ring time for one meeting, or clear it
+   * @param {string} eventId - Calendar event ID
+   * @param {number|null} minutesBefore - Minutes before the start to ring, or null for the usual timing
+   * @returns {Promise<void>}
+   */
+  async setReminder(eventId, minutesBefore) {
+    const response = await chrome.runtime.sendMessage({ action: 'setReminder', eventId, minutesBefore });
+    
+    if (!response?.success) {
+      const error = new Error(response?.error || 'No response from background');
+      errorTracker.logError('Error setting meeting reminder', { error, eventId });
+      throw error;
+    }
+  }
+
   /**
    * Find meetings starting within a specific time window
    * @param {number} minutesWindow - Minutes window to check
@@ -144,20 +175,12 @@ class MeetingsService {
    */
   _processMeetings(meetings) {
     return meetings
-      // Filter only meetings with conferencing data (Google Meet)
-      .filter(event => {
-        return event.conferenceData && 
-               event.conferenceData.conferenceId && 
-               event.conferenceData.entryPoints &&
-               event.conferenceData.entryPoints.some(entry => entry.entryPointType === 'video');
-      })
+      // Attach the video link from Meet, Zoom, Teams or Webex
+      .map(event => ({ event, conference: extractConferenceLink(event) }))
+      // Filter only meetings with a video link
+      .filter(({ conference }) => conference !== null)
       // Transform to simpler format
-      .map(event => {
-        // Get the Google Meet URL
-        const videoEntry = event.conferenceData.entryPoints.find(
-          entry => entry.entryPointType === 'video'
-        );
-        
+      .map(({ event, conference }) => {
         // Get start and end times
         const startDateTime = event.start.dateTime || null;
         const endDateTime = event.end.dateTime || null;
@@ -171,7 +194,10 @@ class MeetingsService {
           description: event.description || '',
           start: startDateTime,
           end: endDateTime,
-          meetLink: videoEntry ? videoEntry.uri : null,
+          meetLink: conference.url,
+          provider: conference.provider,
+          providerName: conference.providerName,
+          passcode: conference.passcode,
           organizer: event.organizer ? event.organizer.email : 'Unknown',
           attendees: attendees.map(a => ({
             email: a.email,
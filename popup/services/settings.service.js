@@ -4,14 +4,35 @@
  */
 
 import errorTracker from '../../utils/error-tracking.js';
+import { createRule, RULE_ACTIONS, RULE_RESPONSE_STATUSES } from '../../utils/ring-rules.js';
+import { normalizeReminderStages } from '../../utils/reminder-stages.js';
+import { DEFAULT_MAX_SNOOZES, DEFAULT_SNOOZE_OPTION, MAX_SNOOZES_LIMIT, SNOOZE_OPTIONS } from '../../utils/snooze.js';
+import { DEFAULT_ESCALATION, normalizeEscalation } from '../../utils/escalation.js';
+import { DEFAULT_RINGTONE_VOLUME, isValidRingtone } from '../../utils/ringtone-playback.js';
+import { normalizeRingPattern } from '../../utils/ring-patterns.js';
 
 class SettingsService {
   constructor() {
     // Default settings
     this.defaultSettings = {
       notificationTiming: 60, // seconds before meeting to show notification
+      timingMode: 'fixed',    // 'fixed' uses notificationTiming; 'calendar' uses the event's Google Calendar reminder first
       autoJoin: false,        // automatically join meeting on notification
+      callerPhotos: false,    // look up organizer and attendee photos for the call window (asks for extra access)
+      deliveryMode: 'overlay', // 'overlay' (call window + notification), 'overlayOnly' or 'notification'
       ringtone: 'classic',    // default ringtone
+      ringtoneVolume: DEFAULT_RINGTONE_VOLUME, // percent
+      ringtoneFadeIn: false,  // fade the ringtone in instead of starting at full volume
+      audioOutput: { deviceId: '', label: '' }, // speakers to ring on, empty ID for the system default
+      ringPatterns: [],       // the user's synthesized ringtones, picked as 'synth:<id>' (see utils/ring-patterns.js)
+      defaultSnooze: DEFAULT_SNOOZE_OPTION, // snooze choice used by the Snooze buttons (see SNOOZE_OPTIONS)
+      maxSnoozes: DEFAULT_MAX_SNOOZES,      // times a single meeting can be snoozed
+      escalation: { ...DEFAULT_ESCALATION }, // what an unanswered call does after a while (see utils/escalation.js)
+      calendarSelection: {},  // calendar ID -> whether it is monitored (unset follows Google Calendar)
+      seriesPreferences: {},  // recurring event ID -> {muted, notificationTiming} overrides for that series
+      meetingPreferences: {}, // event ID -> {muted, notifyOnly, until} overrides for a single occurrence
+      ringRules: [],          // ordered rules deciding how matching meetings ring (first match wins)
+      reminderStages: [],     // heads-up reminders before the ring, as {type, minutesBefore}
       firstRun: true          // whether this is the first run
     };
     
@@ -239,14 +260,14 @@ class SettingsService {
    * @private
    */
   _validateSettings(settings) {
-    // Ensure notificationTiming is a number between 0 and 300
+    // Ensure notificationTiming is a number between 0 and 600 (the popup offers up to 10 minutes)
     if ('notificationTiming' in settings) {
       const timing = parseInt(settings.notificationTiming, 10);
       console.log('🔍 VALIDATE - Raw notification timing:', settings.notificationTiming, 'Parsed:', timing);
       
-      if (isNaN(timing) || timing < 0 || timing > 300) {
-        console.error('❌ Invalid notification timing:', timing, 'Must be between 0 and 300 seconds');
-        throw new Error('Invalid notification timing. Must be between 0 and 300 seconds.');
+      if (isNaN(timing) || timing < 0 || timing > 600) {
+        console.error('❌ Invalid notification timing:', timing, 'Must be between 0 and 600 seconds');
+        throw new Error('Invalid notification timing. Must be between 0 and 600 seconds.');
       }
       
       // Ensure we store as a number
@@ -254,6 +275,11 @@ class SettingsService {
       console.log('✅ Notification timing validated and set to:', timing, 'seconds');
     }
     
+    // Ensure timingMode is known
+    if ('timingMode' in settings && !['fixed', 'calendar'].includes(settings.timingMode)) {
+      throw new Error('Invalid notification timing mode.');
+    }
+    
     // Ensure autoJoin is a boolean
     if ('autoJoin' in settings) {
       // Force explicit conversion to a boolean, regardless of input type
@@ -261,11 +287,137 @@ class SettingsService {
       console.log('🧪 VALIDATE: autoJoin converted to', settings.autoJoin, typeof settings.autoJoin);
     }
     
+    // Ensure deliveryMode is known
+    if ('deliveryMode' in settings && !['overlay', 'overlayOnly', 'notification'].includes(settings.deliveryMode)) {
+      throw new Error('Invalid delivery mode.');
+    }
+    
+    // Ensure defaultSnooze is a known snooze choice
+    if ('defaultSnooze' in settings && !Object.hasOwn(SNOOZE_OPTIONS, settings.defaultSnooze)) {
+      throw new Error('Invalid snooze duration.');
+    }
+    
+    // Ensure maxSnoozes is a number between 1 and MAX_SNOOZES_LIMIT
+    if ('maxSnoozes' in settings) {
+      const maxSnoozes = parseInt(settings.maxSnoozes, 10);
+      if (isNaN(maxSnoozes) || maxSnoozes < 1 || maxSnoozes > MAX_SNOOZES_LIMIT) {
+        throw new Error(`Invalid snooze limit. Must be between 1 and ${MAX_SNOOZES_LIMIT}.`);
+      }
+      settings.maxSnoozes = maxSnoozes;
+    }
+    
+    // Ensure escalation is a complete escalation policy
+    if ('escalation' in settings) {
+      settings.escalation = normalizeEscalation(settings.escalation);
+    }
+    
     // Ensure ringtone is valid
-    if ('ringtone' in settings && !['classic', 'digital', 'old'].includes(settings.ringtone)) {
+    if ('ringtone' in settings && !isValidRingtone(settings.ringtone)) {
       throw new Error('Invalid ringtone selection.');
     }
     
+    // Ensure ringtoneVolume is a percentage
+    if ('ringtoneVolume' in settings) {
+      const volume = parseInt(settings.ringtoneVolume, 10);
+      if (isNaN(volume) || volume < 0 || volume > 100) {
+        throw new Error('Invalid ringtone volume. Must be between 0 and 100.');
+      }
+      settings.ringtoneVolume = volume;
+    }
+    
+    // Ensure callerPhotos is a boolean
+    if ('callerPhotos' in settings) {
+      settings.callerPhotos = settings.callerPhotos === true;
+    }
+    
+    // Ensure ringtoneFadeIn is a boolean
+    if ('ringtoneFadeIn' in settings) {
+      settings.ringtoneFadeIn = settings.ringtoneFadeIn === true;
+    }
+    
+    // Ensure audioOutput is {deviceId, label}
+    if ('audioOutput' in settings) {
+      settings.audioOutput = {
+        deviceId: String(settings.audioOutput?.deviceId || ''),
+        label: String(settings.audioOutput?.label || '')
+      };
+    }
+    
+    // Ensure ringPatterns is a list of valid ring patterns
+    if ('ringPatterns' in settings) {
+      if (!Array.isArray(settings.ringPatterns)) {
+        throw new Error('Invalid ring patterns.');
+      }
+      settings.ringPatterns = settings.ringPatterns.map(pattern => normalizeRingPattern(pattern));
+    }
+    
+    // Ensure calendarSelection maps calendar IDs to booleans
+    if ('calendarSelection' in settings) {
+      if (!settings.calendarSelection || typeof settings.calendarSelection !== 'object') {
+        throw new Error('Invalid calendar selection.');
+      }
+
+      settings.calendarSelection = Object.fromEntries(
+        Object.entries(settings.calendarSelection).map(([id, enabled]) => [id, Boolean(enabled)])
+      );
+    }
+
+    // Ensure seriesPreferences maps series IDs to {muted, notificationTiming}
+    if ('seriesPreferences' in settings) {
+      if (!settings.seriesPreferences || typeof settings.seriesPreferences !== 'object') {
+        throw new Error('Invalid series preferences.');
+      }
+
+      settings.seriesPreferences = Object.fromEntries(
+        Object.entries(settings.seriesPreferences).map(([seriesId, prefs]) => {
+          const normalized = { muted: Boolean(prefs?.muted) };
+
+          if (prefs?.notificationTiming !== undefined && prefs.notificationTiming !== null) {
+            const timing = parseInt(prefs.notificationTiming, 10);
+            if (isNaN(timing) || timing < 0 || timing > 600) {
+              throw new Error('Invalid series notification timing. Must be between 0 and 600 seconds.');
+            }
+            normalized.notificationTiming = timing;
+          }
+
+          return [seriesId, normalized];
+        })
+      );
+    }
+
+    // Ensure meetingPreferences maps event IDs to {muted, notifyOnly, until}
+    if ('meetingPreferences' in settings) {
+      if (!settings.meetingPreferences || typeof settings.meetingPreferences !== 'object') {
+        throw new Error('Invalid meeting preferences.');
+      }
+
+      // Drop entries for meetings that are over or no longer override anything
+      const now = Date.now();
+      settings.meetingPreferences = Object.fromEntries(
+        Object.entries(settings.meetingPreferences)
+          .map(([eventId, prefs]) => [eventId, {
+            muted: Boolean(prefs?.muted),
+            notifyOnly: Boolean(prefs?.notifyOnly),
+            until: Number(prefs?.until) || 0
+          }])
+          .filter(([, prefs]) => (prefs.muted || prefs.notifyOnly) && prefs.until > now)
+      );
+    }
+
+    // Ensure reminderStages are valid and in firing order
+    if ('reminderStages' in settings) {
+      settings.reminderStages = normalizeReminderStages(settings.reminderStages);
+    }
+
+    // Ensure ringRules is a list of complete, valid rules
+    if ('ringRules' in settings) {
+      if (!Array.isArray(settings.ringRules)) {
+        throw new Error('Invalid ring rules.');
+      }
+
+      settings.ringRules = settings.ringRules.map(rule => this._validateRule(rule));
+    }
+
     // Ensure firstRun is a boolean
     if ('firstRun' in settings && typeof settings.firstRun !== 'boolean') {
       settings.firstRun = Boolean(settings.firstRun);
@@ -273,6 +425,64 @@ class SettingsService {
     
     return settings;
   }
+
+  /**
+   * Validate a single ring rule and fill in missing fields
+   * @param {Object} rule - Rule to validate
+   * @returns {Object} The normalized rule
+   * @private
+   */
+  _validateRule(rule) {
+    const normalized = createRule(rule);
+    const conditions = normalized.conditions;
+
+    if (!Object.hasOwn(RULE_ACTIONS, normalized.action)) {
+      throw new Error(`Invalid ring rule action: ${normalized.action}`);
+    }
+
+    if (normalized.ringtone && !isValidRingtone(normalized.ringtone)) {
+      throw new Error('Invalid ring rule ringtone.');
+    }
+
+    if (normalized.notificationTiming !== null) {
+      const timing = parseInt(normalized.notificationTiming, 10);
+      if (isNaN(timing) || timing < 0 || timing > 600) {
+        throw new Error('Invalid ring rule notification timing. Must be between 0 and 600 seconds.');
+      }
+      normalized.notificationTiming = timing;
+    }
+
+    if (normalized.reminderStages !== null) {
+      normalized.reminderStages = normalizeReminderStages(normalized.reminderStages);
+    }
+
+    // Keyword and organizer lists drop blank entries
+    const toList = value => (Array.isArray(value) ? value : [])
+      .map(item => String(item).trim())
+      .filter(item => item.length > 0);
+    conditions.titleKeywords = toList(conditions.titleKeywords);
+    conditions.organizers = toList(conditions.organizers).map(organizer => organizer.toLowerCase());
+
+    for (const key of ['minAttendees', 'maxAttendees']) {
+      if (conditions[key] === null || conditions[key] === '') {
+        conditions[key] = null;
+        continue;
+      }
+      const count = parseInt(conditions[key], 10);
+      if (isNaN(count) || count < 1) {
+        throw new Error('Invalid ring rule attendee count.');
+      }
+      conditions[key] = count;
+    }
+
+    if (conditions.responseStatus && !Object.hasOwn(RULE_RESPONSE_STATUSES, conditions.responseStatus)) {
+      throw new Error('Invalid ring rule RSVP status.');
+    }
+
+    normalized.name = String(normalized.name).trim();
+    normalized.enabled = Boolean(normalized.enabled);
+    return normalized;
+  }
 }
 
 // Export as singleton
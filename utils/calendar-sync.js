@@ -0,0 +1,305 @@
+/**
+ * Incremental calendar sync engine for the Calendar Ringback extension
+ * Keeps a persisted per-calendar event cache up to date using Calendar API sync tokens
+ */
+
+import { parseEventTime } from './event-time.js';
+
+const API_BASE = 'https://www.googleapis.com/calendar/v3';
+
+// Only request the fields the extension uses so the cached payload stays small
+const EVENT_FIELDS = [
+  'id',
+  'status',
+  'summary',
+  'description',
+  'location',
+  'start',
+  'end',
+  'hangoutLink',
+  'conferenceData',
+  'attendees(email,displayName,self,organizer,responseStatus)',
+  'organizer',
+  'recurringEventId',
+  'reminders',
+  'updated'
+].join(',');
+
+const LIST_FIELDS = `items(${EVENT_FIELDS}),nextPageToken,nextSyncToken`;
+
+class CalendarSync {
+  constructor() {
+    this.storageKey = 'calendarSyncState';
+    this.lookAheadMs = 24 * 60 * 60 * 1000;  // Window of events handed back to the scheduler
+    this.horizonMs = 48 * 60 * 60 * 1000;    // Window cached by a full sync, so incremental polls cover the lookahead for a day
+    this.maxPages = 50;                      // Safety limit; hitting it fails the sync rather than truncating it
+
+    // Syncs load the whole state, wait on the network and save it back, so they
+    // run one at a time; otherwise the last to save drops the other's sync tokens
+    this.pendingUpdate = Promise.resolve();
+  }
+
+  /**
+   * Bring the cache for a calendar up to date and return its upcoming events
+   * Uses the stored sync token when possible and falls back to a full resync
+   * when there is no token, the token has expired (410 Gone) or the cached
+   * horizon no longer covers the lookahead window.
+   * @param {string} calendarId - The calendar to sync
+   * @param {Function} fetchWithRetry - (url, token) => Promise<Response>, throws errors carrying a `status`
+   * @param {string} token - OAuth access token
+   * @returns {Promise<Array>} Events overlapping the next 24 hours, soonest first
+   */
+  syncCalendar(calendarId, fetchWithRetry, token) {
+    return this._queueUpdate(() => this._syncCalendar(calendarId, fetchWithRetry, token));
+  }
+
+  /**
+   * Get cached upcoming events for a calendar without hitting the network
+   * @param {string} calendarId - The calendar to read
+   * @returns {Promise<Array>} Events overlapping the next 24 hours, soonest first
+   */
+  async getCachedEvents(calendarId) {
+    const state = await this._loadState();
+    const now = Date.now();
+    return state[calendarId] ? this._eventsInWindow(state[calendarId], now, now + this.lookAheadMs) : [];
+  }
+
+  /**
+   * Drop cached state for calendars that are no longer monitored
+   * Re-enabling a calendar later then starts from a clean full sync.
+   * @param {Array<string>} calendarIds - IDs of the calendars still monitored
+   */
+  pruneCalendars(calendarIds) {
+    return this._queueUpdate(async () => {
+      const state = await this._loadState();
+      const keep = new Set(calendarIds);
+      let changed = false;
+
+      Object.keys(state).forEach(calendarId => {
+        if (!keep.has(calendarId)) {
+          delete state[calendarId];
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        await this._saveState(state);
+      }
+    });
+  }
+
+  /**
+   * Clear all sync tokens and cached events (e.g. on sign-out)
+   */
+  reset() {
+    return this._queueUpdate(() => chrome.storage.local.remove(this.storageKey));
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Sync one calendar; see syncCalendar
+   * @private
+   */
+  async _syncCalendar(calendarId, fetchWithRetry, token) {
+    const state = await this._loadState();
+    const now = Date.now();
+    let calendarState = state[calendarId];
+
+    const horizonCovered = calendarState && calendarState.horizon &&
+                           Date.parse(calendarState.horizon) >= now + this.lookAheadMs;
+    let needsFullSync = !calendarState || !calendarState.syncToken || !horizonCovered;
+
+    if (!needsFullSync) {
+      try {
+        const { items, nextSyncToken } = await this._fetchAllPages(
+          this._buildUrl(calendarId, { syncToken: calendarState.syncToken }),
+          fetchWithRetry,
+          token
+        );
+
+        this._applyChanges(calendarState, items, now);
+        calendarState.syncToken = nextSyncToken;
+        calendarState.lastSync = new Date(now).toISOString();
+
+        console.log(`Incremental sync for ${calendarId}: ${items.length} changes`);
+      } catch (error) {
+        if (error.status !== 410) {
+          throw error;
+        }
+        console.warn(`Sync token for ${calendarId} expired (410 Gone), running a full resync`);
+        needsFullSync = true;
+      }
+    }
+
+    if (needsFullSync) {
+      const horizon = new Date(now + this.horizonMs).toISOString();
+      const { items, nextSyncToken } = await this._fetchAllPages(
+        this._buildUrl(calendarId, {
+          timeMin: new Date(now).toISOString(),
+          timeMax: horizon
+        }),
+        fetchWithRetry,
+        token
+      );
+
+      calendarState = {
+        syncToken: nextSyncToken,
+        horizon,
+        events: {},
+        lastSync: new Date(now).toISOString(),
+        lastFullSync: new Date(now).toISOString()
+      };
+      this._applyChanges(calendarState, items, now);
+
+      console.log(`Full sync for ${calendarId}: ${Object.keys(calendarState.events).length} events cached`);
+    }
+
+    state[calendarId] = calendarState;
+    await this._saveState(state);
+
+    return this._eventsInWindow(calendarState, now, now + this.lookAheadMs);
+  }
+
+  /**
+   * Run an update of the sync state once every earlier update has finished
+   * A failed update is reported to its caller without holding up the ones after it.
+   * @param {Function} update - Performs the update and returns a promise
+   * @private
+   */
+  _queueUpdate(update) {
+    const result = this.pendingUpdate.then(update);
+    this.pendingUpdate = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Build an events.list URL for a full or incremental sync
+   * @param {string} calendarId - The calendar to query
+   * @param {Object} params - Either {syncToken} or {timeMin, timeMax}
+   * @returns {string} The request URL
+   * @private
+   */
+  _buildUrl(calendarId, params) {
+    const url = new URL(`${API_BASE}/calendars/${encodeURIComponent(calendarId)}/events`);
+    url.searchParams.set('singleEvents', 'true');
+    url.searchParams.set('maxResults', '250');
+    url.searchParams.set('fields', LIST_FIELDS);
+
+    // The API rejects time bounds and ordering alongside a sync token
+    if (params.syncToken) {
+      url.searchParams.set('syncToken', params.syncToken);
+    } else {
+      url.searchParams.set('timeMin', params.timeMin);
+      url.searchParams.set('timeMax', params.timeMax);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Follow nextPageToken until the API hands back a nextSyncToken
+   * @param {string} baseUrl - First page URL
+   * @param {Function} fetchWithRetry - Fetch helper from the background worker
+   * @param {string} token - OAuth access token
+   * @returns {Promise<{items: Array, nextSyncToken: string|null}>}
+   * @private
+   */
+  async _fetchAllPages(baseUrl, fetchWithRetry, token) {
+    let items = [];
+    let pageToken = null;
+    let pageCount = 0;
+
+    do {
+      const url = pageToken ? `${baseUrl}&pageToken=${encodeURIComponent(pageToken)}` : baseUrl;
+      const response = await fetchWithRetry(url, token);
+      const data = await response.json();
+      pageCount++;
+
+      items = items.concat(data.items || []);
+
+      if (data.nextSyncToken) {
+        return { items, nextSyncToken: data.nextSyncToken };
+      }
+
+      pageToken = data.nextPageToken || null;
+    } while (pageToken && pageCount < this.maxPages);
+
+    if (pageToken) {
+      throw new Error(`Calendar sync exceeded ${this.maxPages} pages`);
+    }
+
+    return { items, nextSyncToken: null };
+  }
+
+  /**
+   * Apply inserts, updates and cancellations to a calendar's event cache
+   * @param {Object} calendarState - The cached state for one calendar
+   * @param {Array} items - Changed events from the API
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _applyChanges(calendarState, items, now) {
+    const horizon = Date.parse(calendarState.horizon);
+
+    items.forEach(event => {
+      if (!event || !event.id) return;
+
+      const start = this._getTime(event.start);
+      const end = this._getTime(event.end) || start;
+      const outsideWindow = !start || end <= now || start >= horizon;
+
+      if (event.status === 'cancelled' || outsideWindow) {
+        delete calendarState.events[event.id];
+      } else {
+        calendarState.events[event.id] = event;
+      }
+    });
+
+    // Drop events that have finished since the last sync
+    Object.entries(calendarState.events).forEach(([id, event]) => {
+      const end = this._getTime(event.end) || this._getTime(event.start);
+      if (end <= now) {
+        delete calendarState.events[id];
+      }
+    });
+  }
+
+  /**
+   * Get cached events that overlap a time window
+   * @private
+   */
+  _eventsInWindow(calendarState, windowStart, windowEnd) {
+    return Object.values(calendarState.events || {})
+      .filter(event => {
+        const start = this._getTime(event.start);
+        const end = this._getTime(event.end) || start;
+        return end > windowStart && start < windowEnd;
+      })
+      .sort((a, b) => this._getTime(a.start) - this._getTime(b.start));
+  }
+
+  /**
+   * Convert an event start/end object to a timestamp
+   * All-day dates count from local midnight, as everywhere else.
+   * @private
+   */
+  _getTime(when) {
+    if (!when) return 0;
+    const time = parseEventTime(when.dateTime || when.date)?.getTime();
+    return time === undefined || isNaN(time) ? 0 : time;
+  }
+
+  async _loadState() {
+    const data = await chrome.storage.local.get(this.storageKey);
+    return data[this.storageKey] || {};
+  }
+
+  async _saveState(state) {
+    await chrome.storage.local.set({ [this.storageKey]: state });
+  }
+}
+
+// Export as singleton
+const calendarSync = new CalendarSync();
+export default calendarSync;
@@ -0,0 +1,327 @@
+/**
+ * Call history for the Calendar Ringback extension
+ * A journal of every time a meeting rang and what happened to the call.
+ * Only the background worker writes it, one change at a time; the call overlay
+ * and the popup send it recordCallOutcome and markMissedCallsSeen messages.
+ * Any context can read it.
+ */
+
+import { parseEventTime } from './event-time.js';
+
+const STORAGE_KEY = 'callHistory';
+const MISSED_SEEN_STORAGE_KEY = 'missedCallsSeenAt';
+
+// Retention limits
+const MAX_ENTRIES = 500;
+const MAX_AGE_DAYS = 90;
+
+// How long a call can go unanswered before it counts as missed
+const MISSED_AFTER_MINUTES = 10;
+
+// Outcomes a call can end with
+export const CALL_OUTCOMES = {
+  ringing: 'Ringing',
+  joined: 'Joined',
+  declined: 'Declined',
+  snoozed: 'Snoozed',
+  missed: 'Missed'
+};
+
+// Outcomes where the user acted on the call, so time to answer is meaningful
+const ANSWERED_OUTCOMES = ['joined', 'declined', 'snoozed'];
+
+class CallHistory {
+  constructor() {
+    // Each write waits for the one before it, so concurrent changes aren't lost
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Get every journal entry, oldest first
+   * Each entry is {id, eventId, title, calendarId, scheduledStart, scheduledEnd, rungAt,
+   * ringsUntil, outcome, respondedAt, timeToAnswer, deliveryMode, windowId, provider, meetLink, organizer}.
+   * @returns {Promise<Array>} The entries
+   */
+  async getEntries() {
+    const data = await chrome.storage.local.get(STORAGE_KEY);
+    return data[STORAGE_KEY] || [];
+  }
+
+  /**
+   * Open an entry for a meeting that is starting to ring
+   * @param {Object} event - Calendar event (with the extracted conference link)
+   * @param {string} deliveryMode - 'overlay', 'overlayOnly' or 'notification'
+   * @param {string|null} [ringsUntil] - When the call window gives up, if it rings for longer than usual
+   * @returns {Promise<Object>} The new entry
+   */
+  async recordRing(event, deliveryMode, ringsUntil = null) {
+    const rungAt = new Date().toISOString();
+    const entry = {
+      id: `${event.id}_${Date.now().toString(36)}`,
+      eventId: event.id,
+      title: event.summary || 'Unnamed meeting',
+      calendarId: event.calendarId || null,
+      scheduledStart: event.start?.dateTime || event.start?.date || null,
+      scheduledEnd: event.end?.dateTime || event.end?.date || null,
+      rungAt,
+      ringsUntil,
+      outcome: 'ringing',
+      respondedAt: null,
+      timeToAnswer: null,
+      deliveryMode,
+      windowId: null,
+      provider: event.conference?.provider || (event.hangoutLink ? 'meet' : null),
+      meetLink: event.conference?.url || event.hangoutLink || null,
+      organizer: event.organizer?.email || null
+    };
+
+    await this._update(entries => [...entries, entry]);
+    return entry;
+  }
+
+  /**
+   * Remember which call overlay window is ringing for an entry
+   * @param {string} entryId - Journal entry ID
+   * @param {number} windowId - Overlay window ID
+   */
+  async setWindowId(entryId, windowId) {
+    await this._update(entries => entries.map(entry => (entry.id === entryId ? { ...entry, windowId } : entry)));
+  }
+
+  /**
+   * Close the latest ringing call for an event with an outcome
+   * @param {string} eventId - Calendar event ID
+   * @param {string} outcome - One of CALL_OUTCOMES, other than 'ringing'
+   * @returns {Promise<Object|null>} The updated entry, or null if the event wasn't ringing
+   */
+  async recordOutcome(eventId, outcome) {
+    if (!Object.hasOwn(CALL_OUTCOMES, outcome) || outcome === 'ringing') {
+      throw new Error(`Invalid call outcome: ${outcome}`);
+    }
+
+    let updated = null;
+    await this._update(entries => {
+      const index = this._findLastIndex(entries, entry => entry.eventId === eventId && entry.outcome === 'ringing');
+      if (index < 0) return entries;
+
+      updated = this._close(entries[index], outcome);
+      const next = [...entries];
+      next[index] = updated;
+      return next;
+    });
+
+    return updated;
+  }
+
+  /**
+   * Mark the call ringing in a window as missed, once that window is gone
+   * A window closed without answering, declining or snoozing is a missed call.
+   * @param {number} windowId - Closed window ID
+   * @returns {Promise<Object|null>} The updated entry, or null if the window wasn't ringing
+   */
+  async recordWindowClosed(windowId) {
+    let updated = null;
+    await this._update(entries => entries.map(entry => {
+      if (entry.windowId !== windowId || entry.outcome !== 'ringing') return entry;
+      updated = this._close(entry, 'missed');
+      return updated;
+    }));
+    return updated;
+  }
+
+  /**
+   * Mark calls that have been ringing for too long as missed
+   * Catches notifications left unanswered and rings interrupted by a restart.
+   * Calls set to ring for longer, until the meeting ends, are given until then.
+   * @returns {Promise<Array>} The entries that were marked missed
+   */
+  async markStaleAsMissed() {
+    const now = Date.now();
+    const missed = [];
+
+    await this._update(entries => entries.map(entry => {
+      const staleAt = Math.max(
+        new Date(entry.rungAt).getTime() + MISSED_AFTER_MINUTES * 60000,
+        entry.ringsUntil ? new Date(entry.ringsUntil).getTime() : 0
+      );
+      if (entry.outcome !== 'ringing' || now < staleAt) return entry;
+      const closed = this._close(entry, 'missed');
+      missed.push(closed);
+      return closed;
+    }));
+
+    return missed;
+  }
+
+  /**
+   * Get the latest ring for an event
+   * @param {string} eventId - Calendar event ID
+   * @returns {Promise<Object|null>} The entry, or null if the event never rang
+   */
+  async getLatestEntry(eventId) {
+    const entries = await this.getEntries();
+    const index = this._findLastIndex(entries, entry => entry.eventId === eventId);
+    return index >= 0 ? entries[index] : null;
+  }
+
+  /**
+   * Get the outcome of the latest ring for an event
+   * @param {string} eventId - Calendar event ID
+   * @returns {Promise<string|null>} The outcome, or null if the event never rang
+   */
+  async getLatestOutcome(eventId) {
+    const entry = await this.getLatestEntry(eventId);
+    return entry ? entry.outcome : null;
+  }
+
+  /**
+   * Count the missed calls since the user last looked at the call history
+   * @returns {Promise<number>} Unseen missed calls
+   */
+  async getUnseenMissedCount() {
+    const data = await chrome.storage.local.get([STORAGE_KEY, MISSED_SEEN_STORAGE_KEY]);
+    const seenAt = data[MISSED_SEEN_STORAGE_KEY] || 0;
+    return (data[STORAGE_KEY] || [])
+      .filter(entry => entry.outcome === 'missed' && new Date(entry.rungAt).getTime() > seenAt)
+      .length;
+  }
+
+  /**
+   * Mark every missed call so far as seen
+   */
+  async markMissedAsSeen() {
+    await this._queueWrite(() => chrome.storage.local.set({ [MISSED_SEEN_STORAGE_KEY]: Date.now() }));
+  }
+
+  /**
+   * Count how many times an event has been snoozed
+   * @param {string} eventId - Calendar event ID
+   * @returns {Promise<number>} Snoozes so far
+   */
+  async getSnoozeCount(eventId) {
+    const entries = await this.getEntries();
+    return entries.filter(entry => entry.eventId === eventId && entry.outcome === 'snoozed').length;
+  }
+
+  /**
+   * Get the IDs of every event that has rung
+   * @returns {Promise<Set<string>>} Event IDs
+   */
+  async getRungEventIds() {
+    const entries = await this.getEntries();
+    return new Set(entries.map(entry => entry.eventId));
+  }
+
+  /**
+   * Delete the whole journal
+   */
+  async clear() {
+    await this._queueWrite(() => chrome.storage.local.remove(STORAGE_KEY));
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Apply a change to the stored entries and enforce retention
+   * @param {Function} change - Receives the entries and returns the new entries
+   * @private
+   */
+  async _update(change) {
+    await this._queueWrite(async () => {
+      const entries = change(await this.getEntries());
+      await chrome.storage.local.set({ [STORAGE_KEY]: this._prune(entries) });
+    });
+  }
+
+  /**
+   * Run a write once every earlier write has finished
+   * A failed write is reported to its caller without holding up the ones after it.
+   * @param {Function} write - Performs the write and returns a promise
+   * @private
+   */
+  _queueWrite(write) {
+    const result = this.pendingWrite.then(write);
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Drop entries past the age limit, then the oldest past the size limit
+   * @private
+   */
+  _prune(entries) {
+    const oldest = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60000;
+    return entries
+      .filter(entry => new Date(entry.rungAt).getTime() >= oldest)
+      .slice(-MAX_ENTRIES);
+  }
+
+  /**
+   * Fill in the outcome and response timing of an entry
+   * @private
+   */
+  _close(entry, outcome) {
+    const now = new Date();
+    const answered = ANSWERED_OUTCOMES.includes(outcome);
+
+    return {
+      ...entry,
+      outcome,
+      respondedAt: answered ? now.toISOString() : null,
+      timeToAnswer: answered ? Math.round((now.getTime() - new Date(entry.rungAt).getTime()) / 1000) : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _findLastIndex(entries, predicate) {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (predicate(entries[i])) return i;
+    }
+    return -1;
+  }
+}
+
+/**
+ * Check whether the meeting behind an entry is still going on
+ * @param {Object} entry - Journal entry
+ * @param {Date} [now] - Time to check against
+ * @returns {boolean} True between the scheduled start and end
+ */
+export function isCallInProgress(entry, now = new Date()) {
+  if (!entry?.scheduledStart || !entry?.scheduledEnd) return false;
+  return parseEventTime(entry.scheduledStart) <= now && now < parseEventTime(entry.scheduledEnd);
+}
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'title', 'scheduledStart', 'scheduledEnd', 'rungAt', 'outcome', 'respondedAt',
+  'timeToAnswer', 'deliveryMode', 'provider', 'meetLink', 'organizer', 'calendarId', 'eventId'
+];
+
+/**
+ * Serialize journal entries for download
+ * @param {Array} entries - Journal entries
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File contents
+ */
+export function exportCallHistory(entries, format) {
+  if (format === 'json') {
+    return JSON.stringify(entries, null, 2);
+  }
+  if (format !== 'csv') {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+// Export as singleton
+const callHistory = new CallHistory();
+export default callHistory;
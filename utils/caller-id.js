@@ -0,0 +1,234 @@
+/**
+ * Caller ID for the Calendar Ringback extension
+ * Names and profile photos of meeting organizers and attendees, looked up with
+ * the Google People API and cached in chrome.storage.local so the call overlay
+ * shows them straight away, even offline. Photos are kept as data URLs.
+ */
+
+export const CALLER_ID_STORAGE_KEY = 'callerIdCache';
+
+// Extra scopes for looking up other people, asked for only when photos are turned on
+export const CALLER_PHOTO_SCOPES = [
+  'https://www.googleapis.com/auth/directory.readonly',
+  'https://www.googleapis.com/auth/contacts.other.readonly'
+];
+
+const PEOPLE_API = 'https://people.googleapis.com/v1';
+const READ_MASK = 'names,photos,emailAddresses';
+
+// How long a lookup is trusted before it is repeated
+const FOUND_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+
+// People kept in the cache, least recently looked up dropped first
+const MAX_CACHED_PEOPLE = 100;
+
+// Size photos are fetched at, in pixels
+const PHOTO_SIZE = 96;
+
+/**
+ * Get the email addresses worth a caller ID lookup for an event
+ * Skips the user and meeting rooms.
+ * @param {Object} event - Calendar event
+ * @returns {Array<string>} Lowercased emails, organizer first
+ */
+export function getEventPeople(event) {
+  const people = [event.organizer, ...(event.attendees || [])]
+    .filter(person => person?.email && !person.self && !person.resource)
+    .map(person => person.email.toLowerCase())
+    .filter(email => !email.endsWith('calendar.google.com'));
+
+  return [...new Set(people)];
+}
+
+class CallerIdCache {
+  /**
+   * Get what is cached about some people
+   * @param {Array<string>} emails - Email addresses
+   * @returns {Promise<Object>} Email -> {name, photo}, for the people that were found
+   */
+  async getCached(emails) {
+    const cache = await this._load();
+    const people = {};
+
+    emails.forEach(email => {
+      const entry = cache[email.toLowerCase()];
+      if (entry?.found) {
+        people[email.toLowerCase()] = { name: entry.name, photo: entry.photo };
+      }
+    });
+
+    return people;
+  }
+
+  /**
+   * Ask the user to allow looking up other people's profiles
+   * @returns {Promise<boolean>} True if access was granted
+   */
+  async requestAccess() {
+    try {
+      return Boolean(await this._getToken(true));
+    } catch (error) {
+      console.warn('Caller photo access not granted:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Look up people that aren't cached yet or were looked up a while ago
+   * Does nothing when photo access hasn't been granted.
+   * @param {Array<string>} emails - Email addresses
+   * @returns {Promise<number>} How many people were looked up
+   */
+  async refresh(emails) {
+    const cache = await this._load();
+    const now = Date.now();
+    const stale = emails
+      .map(email => email.toLowerCase())
+      .filter(email => {
+        const entry = cache[email];
+        return !entry || now - entry.fetchedAt > (entry.found ? FOUND_TTL_MS : NOT_FOUND_TTL_MS);
+      });
+    if (stale.length === 0) return 0;
+
+    let token;
+    try {
+      token = await this._getToken(false);
+    } catch (error) {
+      console.log('Caller photos not available:', error.message || error);
+      return 0;
+    }
+
+    for (const email of stale) {
+      try {
+        const person = await this._lookupPerson(email, token);
+        cache[email] = person
+          ? { found: true, ...person, fetchedAt: now }
+          : { found: false, fetchedAt: now };
+      } catch (error) {
+        // Keep what we had; the next refresh tries again
+        console.warn(`Caller ID lookup failed for ${email}:`, error);
+      }
+    }
+
+    await this._save(cache);
+    return stale.length;
+  }
+
+  /**
+   * Forget everything cached
+   */
+  async clear() {
+    await chrome.storage.local.remove(CALLER_ID_STORAGE_KEY);
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Get a token that includes the photo scopes
+   * @param {boolean} interactive - Whether the user may be asked to allow access
+   * @private
+   */
+  _getToken(interactive) {
+    const scopes = [...(chrome.runtime.getManifest().oauth2?.scopes || []), ...CALLER_PHOTO_SCOPES];
+
+    return new Promise((resolve, reject) => {
+      if (!chrome.identity?.getAuthToken) {
+        reject(new Error('Profile lookups need Chrome sign-in'));
+        return;
+      }
+
+      chrome.identity.getAuthToken({ interactive, scopes }, token => {
+        if (chrome.runtime.lastError || !token) {
+          reject(new Error(chrome.runtime.lastError?.message || 'No token'));
+        } else {
+          resolve(token);
+        }
+      });
+    });
+  }
+
+  /**
+   * Find a person in the user's organization, then among people they've been in touch with
+   * @returns {Promise<Object|null>} {name, photo}, or null if nobody matched
+   * @private
+   */
+  async _lookupPerson(email, token) {
+    const searches = [
+      `${PEOPLE_API}/people:searchDirectoryPeople?query=${encodeURIComponent(email)}` +
+        `&readMask=${READ_MASK}&sources=DIRECTORY_SOURCE_TYPE_DOMAIN_PROFILE&sources=DIRECTORY_SOURCE_TYPE_DOMAIN_CONTACT`,
+      `${PEOPLE_API}/otherContacts:search?query=${encodeURIComponent(email)}&readMask=${READ_MASK}`
+    ];
+
+    for (const url of searches) {
+      const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+      if (response.status === 403) continue; // Not a Workspace account, or scope not granted
+      if (!response.ok) {
+        throw new Error(`People API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const results = data.people || data.results?.map(result => result.person) || [];
+      const match = results.find(person =>
+        person.emailAddresses?.some(address => address.value?.toLowerCase() === email)
+      );
+      if (match) {
+        // Google's generated letter avatars aren't worth caching; initials do the same job
+        const photo = match.photos?.find(candidate => !candidate.default);
+        return {
+          name: match.names?.[0]?.displayName || '',
+          photo: photo ? await this._fetchPhoto(photo.url) : ''
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Download a profile photo as a data URL, so it shows offline
+   * @private
+   */
+  async _fetchPhoto(url) {
+    try {
+      // Google photo URLs end in a size option such as =s100
+      const sizedUrl = url.replace(/=s\d+(-c)?$/, '') + `=s${PHOTO_SIZE}-c`;
+      const response = await fetch(sizedUrl);
+      if (!response.ok) return '';
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return `data:${response.headers.get('content-type') || 'image/jpeg'};base64,${btoa(binary)}`;
+    } catch (error) {
+      console.warn('Could not download profile photo:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Load the cache from storage
+   * @private
+   */
+  async _load() {
+    const data = await chrome.storage.local.get(CALLER_ID_STORAGE_KEY);
+    return data[CALLER_ID_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Save the cache, dropping the least recently looked up people beyond the limit
+   * @private
+   */
+  async _save(cache) {
+    const kept = Object.entries(cache)
+      .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+      .slice(0, MAX_CACHED_PEOPLE);
+    await chrome.storage.local.set({ [CALLER_ID_STORAGE_KEY]: Object.fromEntries(kept) });
+  }
+}
+
+// Export as singleton
+const callerIdCache = new CallerIdCache();
+export default callerIdCache;
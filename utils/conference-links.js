@@ -0,0 +1,183 @@
+/**
+ * Conference link extraction for the Calendar Ringback extension
+ * Finds the video meeting link for an event across Google Meet, Zoom,
+ * Microsoft Teams and Webex, wherever the invite put it
+ */
+
+// Known providers; in free text the link that comes first is used
+export const CONFERENCE_PROVIDERS = {
+  meet: {
+    name: 'Google Meet',
+    urlPattern: /https:\/\/meet\.google\.com\/[a-z]{3}-[a-z]{4}-[a-z]{3}(?:\?[^\s"'<>]*)?/i
+  },
+  zoom: {
+    name: 'Zoom',
+    urlPattern: /https:\/\/(?:[a-z0-9-]+\.)?(?:zoom\.us|zoomgov\.com)\/(?:j|my|w|s)\/[^\s"'<>]+/i
+  },
+  teams: {
+    name: 'Microsoft Teams',
+    urlPattern: /https:\/\/(?:teams\.microsoft\.com\/(?:l\/meetup-join|meet)|teams\.live\.com\/meet)\/[^\s"'<>]+/i
+  },
+  webex: {
+    name: 'Webex',
+    urlPattern: /https:\/\/[a-z0-9-]+\.webex\.com\/(?:meet\/|join\/|[a-z0-9-]+\/j\.php\?|wbxmjs\/joinservice\/)[^\s"'<>]*/i
+  }
+};
+
+// "Passcode: 123456", "Password: abc", "Meeting password: xyz"
+const PASSCODE_PATTERN = /(?:passcode|password|pwd|meeting password)\s*[:=]\s*([^\s<>"',;]+)/i;
+
+// "Meeting ID: 123 456 7890"
+const MEETING_ID_PATTERN = /meeting (?:id|number)\s*[:#]?\s*([0-9][0-9 ]{5,}[0-9])/i;
+
+// How far past a link its passcode and meeting ID are looked for, in characters
+const LINK_DETAILS_LENGTH = 300;
+
+/**
+ * Extract the conference link for a calendar event
+ * Looks at the event's conferenceData (including add-on providers), its
+ * hangoutLink, then any link in the location and description.
+ * @param {Object} event - Google Calendar event resource
+ * @returns {{provider: string, providerName: string, url: string, passcode: string|null, meetingId: string|null}|null}
+ *   The conference details, or null if the event has no recognizable video link
+ */
+export function extractConferenceLink(event) {
+  if (!event) return null;
+
+  return fromConferenceData(event.conferenceData) ||
+         fromHangoutLink(event.hangoutLink) ||
+         fromText(event.location, event.description);
+}
+
+/**
+ * Get the display name for a provider key
+ * @param {string} provider - Provider key (e.g. 'zoom')
+ * @returns {string} Human readable provider name
+ */
+export function getProviderName(provider) {
+  return CONFERENCE_PROVIDERS[provider]?.name || 'Video call';
+}
+
+// Conference data attached by Google Calendar or a conferencing add-on
+function fromConferenceData(conferenceData) {
+  if (!conferenceData || !Array.isArray(conferenceData.entryPoints)) return null;
+
+  // The video entry point is the one to open; phone, SIP and "more" links aren't joinable in a tab
+  const videoEntry = conferenceData.entryPoints.find(entry => entry.entryPointType === 'video' && entry.uri);
+  if (!videoEntry) return null;
+
+  const provider = detectProvider(videoEntry.uri) ||
+                   providerFromSolution(conferenceData.conferenceSolution) ||
+                   'other';
+
+  return {
+    provider,
+    providerName: provider === 'other'
+      ? conferenceData.conferenceSolution?.name || getProviderName(provider)
+      : getProviderName(provider),
+    url: videoEntry.uri,
+    passcode: videoEntry.passcode || videoEntry.password || videoEntry.meetingCode || videoEntry.accessCode ||
+              extractPasscode(videoEntry.uri),
+    meetingId: conferenceData.conferenceId || null
+  };
+}
+
+function fromHangoutLink(hangoutLink) {
+  if (!hangoutLink) return null;
+
+  return {
+    provider: 'meet',
+    providerName: getProviderName('meet'),
+    url: hangoutLink,
+    passcode: null,
+    meetingId: null
+  };
+}
+
+// Links pasted into the location or description, which are often HTML.
+// A link in the location wins, but its passcode may only be in the description.
+function fromText(location, description) {
+  const texts = [location, description].filter(Boolean).map(decodeEntities);
+  const link = texts.map(findFirstLink).find(Boolean);
+  if (!link) return null;
+
+  const { provider, url } = link;
+  const details = texts.map(text => getTextAfterLink(text, url));
+  const passcodeMatch = details.map(text => text.match(PASSCODE_PATTERN)).find(Boolean);
+  const meetingIdMatch = details.map(text => text.match(MEETING_ID_PATTERN)).find(Boolean);
+
+  return {
+    provider,
+    providerName: getProviderName(provider),
+    url,
+    passcode: extractPasscode(url) || (passcodeMatch ? passcodeMatch[1] : null),
+    meetingId: meetingIdMatch ? meetingIdMatch[1].replace(/\s+/g, '') : null
+  };
+}
+
+// The conference link that comes first in the text, whichever provider it is
+function findFirstLink(text) {
+  let first = null;
+
+  Object.entries(CONFERENCE_PROVIDERS).forEach(([provider, { urlPattern }]) => {
+    const match = urlPattern.exec(text);
+    if (match && (!first || match.index < first.index)) {
+      first = { provider, url: trimUrl(match[0]), index: match.index };
+    }
+  });
+
+  return first;
+}
+
+// The text following a link, where invites put its passcode and meeting ID.
+// It stops at the next link, whose details are its own.
+function getTextAfterLink(text, url) {
+  const index = text.indexOf(url);
+  if (index < 0) return '';
+
+  const start = index + url.length;
+  const nextLink = text.indexOf('http', start);
+  const end = Math.min(start + LINK_DETAILS_LENGTH, nextLink < 0 ? text.length : nextLink);
+  return text.slice(start, end);
+}
+
+function detectProvider(url) {
+  return Object.keys(CONFERENCE_PROVIDERS).find(provider => CONFERENCE_PROVIDERS[provider].urlPattern.test(url)) || null;
+}
+
+function providerFromSolution(solution) {
+  if (!solution) return null;
+
+  if (solution.key?.type === 'hangoutsMeet') return 'meet';
+
+  const name = (solution.name || '').toLowerCase();
+  if (name.includes('zoom')) return 'zoom';
+  if (name.includes('teams')) return 'teams';
+  if (name.includes('webex')) return 'webex';
+  return null;
+}
+
+// Zoom puts the passcode in the link itself as ?pwd=
+function extractPasscode(url) {
+  try {
+    return new URL(url).searchParams.get('pwd');
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ');
+}
+
+// Strip punctuation that commonly trails a link in prose, e.g. "join at https://...)."
+function trimUrl(url) {
+  return url.replace(/[).,;>\]]+$/, '');
+}
@@ -0,0 +1,176 @@
+/**
+ * Custom ringtones for the Calendar Ringback extension
+ * Short audio clips uploaded by the user, kept in IndexedDB since they are
+ * too big for chrome.storage. Settings refer to them as 'custom:<id>'.
+ */
+
+const DB_NAME = 'calendarRingback';
+const DB_VERSION = 1;
+const STORE_NAME = 'customRingtones';
+
+export const CUSTOM_RINGTONE_PREFIX = 'custom:';
+
+// Upload limits
+export const MAX_RINGTONE_BYTES = 1024 * 1024;
+export const MAX_RINGTONE_SECONDS = 30;
+export const ACCEPTED_RINGTONE_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/x-m4a', 'audio/aac'];
+
+// Browsers don't agree on the type of some formats, or leave it empty, so the extension is accepted too
+export const ACCEPTED_RINGTONE_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.oga', '.webm', '.m4a', '.mp4', '.aac'];
+
+/**
+ * Check whether an uploaded file is in a supported audio format
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True if its type or extension is accepted
+ */
+function isAcceptedRingtoneFile(file) {
+  const extension = (/\.[^.]+$/.exec(file.name) || [''])[0].toLowerCase();
+  return ACCEPTED_RINGTONE_TYPES.includes(file.type) || ACCEPTED_RINGTONE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Check whether a ringtone setting refers to a custom ringtone
+ * @param {string} ringtone - Ringtone setting
+ * @returns {boolean} True for 'custom:<id>'
+ */
+export function isCustomRingtone(ringtone) {
+  return typeof ringtone === 'string' && ringtone.startsWith(CUSTOM_RINGTONE_PREFIX) &&
+    ringtone.length > CUSTOM_RINGTONE_PREFIX.length;
+}
+
+class CustomRingtones {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * List the uploaded ringtones, oldest first, without their audio
+   * @returns {Promise<Array>} Ringtones as {id, name, type, size, duration, createdAt}
+   */
+  async list() {
+    const ringtones = await this._request('readonly', store => store.getAll());
+    return ringtones
+      .map(({ blob, ...ringtone }) => ringtone)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Get the audio of an uploaded ringtone
+   * @param {string} id - Ringtone ID
+   * @returns {Promise<Blob|null>} The audio, or null if it has been deleted
+   */
+  async getBlob(id) {
+    const ringtone = await this._request('readonly', store => store.get(id));
+    return ringtone ? ringtone.blob : null;
+  }
+
+  /**
+   * Validate and store an uploaded audio file
+   * @param {File} file - Uploaded file
+   * @returns {Promise<Object>} The stored ringtone, without its audio
+   * @throws {Error} If the file isn't a supported audio format, or is too big or too long
+   */
+  async add(file) {
+    if (!isAcceptedRingtoneFile(file)) {
+      throw new Error('Unsupported audio format. Use MP3, WAV, OGG, WebM or M4A.');
+    }
+    if (file.size > MAX_RINGTONE_BYTES) {
+      throw new Error(`Ringtone is too big. The limit is ${MAX_RINGTONE_BYTES / (1024 * 1024)} MB.`);
+    }
+
+    const duration = await this._getDuration(file);
+    if (!isFinite(duration)) {
+      throw new Error('Could not read how long this ringtone is.');
+    }
+    if (duration > MAX_RINGTONE_SECONDS) {
+      throw new Error(`Ringtone is too long. The limit is ${MAX_RINGTONE_SECONDS} seconds.`);
+    }
+
+    const ringtone = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: file.name.replace(/\.[^.]+$/, '') || 'Custom ringtone',
+      type: file.type,
+      size: file.size,
+      duration,
+      createdAt: Date.now()
+    };
+
+    await this._request('readwrite', store => store.put({ ...ringtone, blob: file }));
+    return ringtone;
+  }
+
+  /**
+   * Delete an uploaded ringtone
+   * @param {string} id - Ringtone ID
+   */
+  async remove(id) {
+    await this._request('readwrite', store => store.delete(id));
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Open the database, creating the store on first use
+   * @private
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+   * @private
+   */
+  async _request(mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read an audio file's length, which also checks that it decodes
+   * @private
+   */
+  _getDuration(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const audio = new Audio();
+      audio.preload = 'metadata';
+      audio.onloadedmetadata = () => {
+        URL.revokeObjectURL(url);
+        resolve(audio.duration);
+      };
+      audio.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('This file could not be played as audio.'));
+      };
+      audio.src = url;
+    });
+  }
+}
+
+// Export as singleton
+const customRingtones = new CustomRingtones();
+export default customRingtones;
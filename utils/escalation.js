@@ -0,0 +1,67 @@
+/**
+ * Ring escalation for the Calendar Ringback extension
+ * What the call overlay does when a call keeps ringing without an answer
+ */
+
+import { parseEventTime } from './event-time.js';
+
+// Escalation policy used until the user changes it; escalation is off by default
+export const DEFAULT_ESCALATION = {
+  afterSeconds: 0,     // seconds of ringing before escalating, 0 never escalates
+  louder: true,        // ramp the ringtone up from a quieter start
+  refocus: true,       // bring the call window back to the front
+  renotify: true,      // fire the meeting notification again
+  ringUntilEnd: false  // keep ringing until the meeting ends instead of the fixed timeout
+};
+
+// Delays offered for escalating, in seconds
+export const ESCALATION_DELAYS = [0, 15, 30, 60, 120];
+
+// Share of the full volume the ring starts at when it will get louder
+export const ESCALATION_START_VOLUME = 0.5;
+
+// Seconds the ramp to full volume takes
+export const ESCALATION_RAMP_SECONDS = 10;
+
+// How long an unanswered call rings when it doesn't ring until the meeting ends
+export const AUTO_DISMISS_MINUTES = 2;
+
+/**
+ * Validate an escalation policy and fill in missing fields
+ * @param {Object} escalation - Escalation policy
+ * @returns {Object} The complete policy
+ * @throws {Error} If the delay isn't one of ESCALATION_DELAYS
+ */
+export function normalizeEscalation(escalation) {
+  if (!escalation || typeof escalation !== 'object') {
+    throw new Error('Invalid ring escalation.');
+  }
+
+  const afterSeconds = parseInt(escalation.afterSeconds ?? DEFAULT_ESCALATION.afterSeconds, 10);
+  if (!ESCALATION_DELAYS.includes(afterSeconds)) {
+    throw new Error(`Invalid escalation delay. Must be one of ${ESCALATION_DELAYS.join(', ')} seconds.`);
+  }
+
+  return {
+    afterSeconds,
+    louder: Boolean(escalation.louder ?? DEFAULT_ESCALATION.louder),
+    refocus: Boolean(escalation.refocus ?? DEFAULT_ESCALATION.refocus),
+    renotify: Boolean(escalation.renotify ?? DEFAULT_ESCALATION.renotify),
+    ringUntilEnd: Boolean(escalation.ringUntilEnd ?? DEFAULT_ESCALATION.ringUntilEnd)
+  };
+}
+
+/**
+ * Work out when an unanswered call stops ringing
+ * @param {Object} escalation - Escalation policy
+ * @param {string|null} endTime - Meeting end (ISO string, or YYYY-MM-DD for all-day events)
+ * @param {number} [rungAt] - When the call started ringing, in ms
+ * @returns {number} Time to stop ringing, in ms
+ */
+export function getRingEndTime(escalation, endTime, rungAt = Date.now()) {
+  const fixedEnd = rungAt + AUTO_DISMISS_MINUTES * 60000;
+  if (!escalation?.ringUntilEnd || !endTime) return fixedEnd;
+
+  // Never less than the fixed timeout, so a call that rings late still rings a while
+  return Math.max(fixedEnd, parseEventTime(endTime).getTime());
+}
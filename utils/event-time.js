@@ -0,0 +1,126 @@
+/**
+ * Event times for the Calendar Ringback extension
+ * Start, end, duration and timezone of a Google Calendar event, including
+ * all-day events, whose dates have no time or timezone
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an event's start or end
+ * All-day events give a plain date, which is midnight where the user is,
+ * not midnight UTC as new Date() would read it.
+ * @param {string} value - RFC 3339 date-time, or YYYY-MM-DD for all-day events
+ * @returns {Date|null} The time, or null if there is none
+ */
+export function parseEventTime(value) {
+  if (!value) return null;
+
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  }
+  return new Date(value);
+}
+
+/**
+ * Collect the times the call overlay shows for an event
+ * @param {Object} event - Calendar event
+ * @returns {Object} Times as {startTime, endTime, allDay, timeZone, durationMinutes}
+ */
+export function getEventTimeDetails(event) {
+  const startTime = event.start?.dateTime || event.start?.date || null;
+  const endTime = event.end?.dateTime || event.end?.date || null;
+  const start = parseEventTime(startTime);
+  const end = parseEventTime(endTime);
+
+  return {
+    startTime,
+    endTime,
+    allDay: Boolean(event.start?.date && !event.start?.dateTime),
+    timeZone: event.start?.timeZone || null,
+    durationMinutes: start && end ? Math.round((end - start) / 60000) : null
+  };
+}
+
+/**
+ * Describe how long a meeting lasts
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "45 min", "1 h 30 min" or "3 days"
+ */
+export function formatDuration(minutes) {
+  if (minutes >= 24 * 60 && minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Describe when a meeting happens, in the user's timezone
+ * @param {Object} details - Times from getEventTimeDetails
+ * @returns {string} e.g. "10:00 – 10:45 AM · 45 min" or "All day · Mon, Oct 19"
+ */
+export function formatEventTimeRange(details) {
+  const start = parseEventTime(details.startTime);
+  const end = parseEventTime(details.endTime);
+  if (!start) return '';
+
+  const dateFormat = { weekday: 'short', month: 'short', day: 'numeric' };
+  const timeFormat = { hour: 'numeric', minute: '2-digit' };
+
+  if (details.allDay) {
+    // The end date of an all-day event is the day after it ends
+    const days = end ? Math.max(1, Math.round((end - start) / DAY_MS)) : 1;
+    if (days === 1) {
+      return `All day · ${start.toLocaleDateString([], dateFormat)}`;
+    }
+
+    const lastDay = new Date(end.getTime() - DAY_MS);
+    return `${start.toLocaleDateString([], dateFormat)} – ${lastDay.toLocaleDateString([], dateFormat)} · ${days} days`;
+  }
+
+  if (!end) {
+    return start.toLocaleTimeString([], timeFormat);
+  }
+
+  const duration = formatDuration(details.durationMinutes ?? Math.round((end - start) / 60000));
+  if (start.toDateString() === end.toDateString()) {
+    return `${start.toLocaleTimeString([], timeFormat)} – ${end.toLocaleTimeString([], timeFormat)} · ${duration}`;
+  }
+
+  const dateTimeFormat = { ...dateFormat, ...timeFormat };
+  return `${start.toLocaleString([], dateTimeFormat)} – ${end.toLocaleString([], dateTimeFormat)} · ${duration}`;
+}
+
+/**
+ * Describe a meeting's times in its own timezone, when that isn't the user's
+ * @param {Object} details - Times from getEventTimeDetails
+ * @returns {string} e.g. "3:00 – 3:45 PM GMT+1 (Europe/London)", or '' when there is nothing to add
+ */
+export function formatEventTimeZone(details) {
+  const { timeZone } = details;
+  if (!timeZone || details.allDay) return '';
+
+  try {
+    if (timeZone === Intl.DateTimeFormat().resolvedOptions().timeZone) return '';
+
+    const start = parseEventTime(details.startTime);
+    const end = parseEventTime(details.endTime);
+    const format = { hour: 'numeric', minute: '2-digit', timeZone };
+    const startText = start.toLocaleTimeString([], format);
+    const endText = end ? end.toLocaleTimeString([], { ...format, timeZoneName: 'short' }) : '';
+
+    return endText ? `${startText} – ${endText} (${timeZone})` : `${startText} (${timeZone})`;
+  } catch (error) {
+    // Unknown timezone name
+    console.warn(`Could not show times in ${timeZone}:`, error);
+    return '';
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Adaptive polling schedule for the Calendar Ringback extension
+ * Works out how often the background worker should poll the calendar
+ */
+
+// Minutes between polls for each situation
+export const POLLING_INTERVALS = {
+  imminent: 1,   // next meeting starts within IMMINENT_WINDOW
+  soon: 2,       // next meeting starts within SOON_WINDOW
+  normal: 5,     // working hours, nothing close
+  idle: 15,      // machine idle or locked
+  offHours: 30   // overnight or at the weekend
+};
+
+const IMMINENT_WINDOW = 15; // Minutes before a meeting to poll at the fastest rate
+const SOON_WINDOW = 60;     // Minutes before a meeting to start speeding up
+const BATTERY_FACTOR = 2;   // Slow-down multiplier while running on battery
+
+// Working hours used to decide when polling can slow down overnight
+const WORKDAY_START_HOUR = 7;
+const WORKDAY_END_HOUR = 20;
+
+/**
+ * Work out the polling interval for the current conditions
+ * A meeting that is close always wins, so last-minute moves are caught even
+ * overnight or on battery. Otherwise the slowest applicable rate is used.
+ * @param {Object} conditions
+ * @param {Date} [conditions.now] - Current time
+ * @param {Date|null} [conditions.nextMeetingStart] - Start of the next ringing meeting
+ * @param {string} [conditions.idleState] - 'active' | 'idle' | 'locked' (chrome.idle)
+ * @param {boolean} [conditions.onBattery] - Whether the device is discharging
+ * @returns {{interval: number, reason: string}} Minutes between polls and why
+ */
+export function getPollingSchedule({ now = new Date(), nextMeetingStart = null, idleState = 'active', onBattery = false } = {}) {
+  const minutesUntilMeeting = nextMeetingStart
+    ? (nextMeetingStart.getTime() - now.getTime()) / 60000
+    : Infinity;
+
+  if (minutesUntilMeeting <= IMMINENT_WINDOW) {
+    return { interval: POLLING_INTERVALS.imminent, reason: 'meeting starting soon' };
+  }
+
+  if (minutesUntilMeeting <= SOON_WINDOW) {
+    return { interval: POLLING_INTERVALS.soon, reason: 'meeting within the hour' };
+  }
+
+  let interval = POLLING_INTERVALS.normal;
+  let reason = 'normal';
+
+  const day = now.getDay();
+  const hour = now.getHours();
+  const isWeekend = day === 0 || day === 6;
+  const isOvernight = hour < WORKDAY_START_HOUR || hour >= WORKDAY_END_HOUR;
+
+  if (isWeekend || isOvernight) {
+    interval = POLLING_INTERVALS.offHours;
+    reason = isWeekend ? 'weekend' : 'overnight';
+  } else if (idleState === 'idle' || idleState === 'locked') {
+    interval = POLLING_INTERVALS.idle;
+    reason = idleState === 'locked' ? 'screen locked' : 'idle';
+  }
+
+  if (onBattery) {
+    interval *= BATTERY_FACTOR;
+    reason = reason === 'normal' ? 'on battery' : `${reason}, on battery`;
+  }
+
+  // Never sleep past the point where the next meeting enters the "soon" window
+  if (minutesUntilMeeting !== Infinity) {
+    interval = Math.min(interval, Math.max(POLLING_INTERVALS.imminent, Math.floor(minutesUntilMeeting - SOON_WINDOW)));
+  }
+
+  return { interval, reason };
+}
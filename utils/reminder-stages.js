@@ -0,0 +1,73 @@
+/**
+ * Staged reminders for the Calendar Ringback extension
+ * Heads-up reminders that fire before the full ring, each on its own alarm
+ */
+
+// Kinds of reminder a stage can give
+export const REMINDER_STAGE_TYPES = {
+  notify: 'Silent notification',
+  chime: 'Soft chime'
+};
+
+// Alarm name prefix for reminder stages; the ring itself uses eventReminder_
+export const STAGE_ALARM_PREFIX = 'eventStage_';
+
+const MAX_STAGE_MINUTES = 120;
+
+/**
+ * Validate reminder stages and put them in firing order
+ * @param {Array} stages - Stages as {type, minutesBefore}
+ * @returns {Array} The stages, earliest first, with duplicates removed
+ * @throws {Error} If a stage has an unknown type or an out of range time
+ */
+export function normalizeReminderStages(stages) {
+  if (!Array.isArray(stages)) {
+    throw new Error('Invalid reminder stages.');
+  }
+
+  const seen = new Set();
+  return stages
+    .map(stage => {
+      const minutesBefore = parseInt(stage?.minutesBefore, 10);
+      if (!Object.hasOwn(REMINDER_STAGE_TYPES, stage?.type ?? '')) {
+        throw new Error(`Invalid reminder stage type: ${stage?.type}`);
+      }
+      if (isNaN(minutesBefore) || minutesBefore < 1 || minutesBefore > MAX_STAGE_MINUTES) {
+        throw new Error(`Invalid reminder stage time. Must be between 1 and ${MAX_STAGE_MINUTES} minutes before.`);
+      }
+      return { type: stage.type, minutesBefore };
+    })
+    .filter(stage => {
+      const key = `${stage.type}_${stage.minutesBefore}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => b.minutesBefore - a.minutesBefore);
+}
+
+/**
+ * Build the alarm name for one stage of an event
+ * The stage is part of the name so the alarm can be handled without looking up settings.
+ * @param {Object} stage - Reminder stage
+ * @param {string} eventId - Calendar event ID
+ * @returns {string} e.g. 'eventStage_chime_3_abc123'
+ */
+export function getStageAlarmName(stage, eventId) {
+  return `${STAGE_ALARM_PREFIX}${stage.type}_${stage.minutesBefore}_${eventId}`;
+}
+
+/**
+ * Read the stage and event back out of a stage alarm name
+ * @param {string} alarmName - Alarm name
+ * @returns {{eventId: string, stage: {type: string, minutesBefore: number}}|null} Null if not a stage alarm
+ */
+export function parseStageAlarmName(alarmName) {
+  const match = /^eventStage_([a-z]+)_(\d+)_(.+)$/.exec(alarmName || '');
+  if (!match) return null;
+
+  return {
+    eventId: match[3],
+    stage: { type: match[1], minutesBefore: parseInt(match[2], 10) }
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Synthesized ring patterns for the Calendar Ringback extension
+ * Ringtones generated with the Web Audio API from a tone and a cadence,
+ * so they take no download space and can be told apart by ear.
+ * Settings refer to them as 'synth:<id>'.
+ */
+
+export const SYNTH_RINGTONE_PREFIX = 'synth:';
+
+// How the ring bursts are grouped in each cycle
+export const RING_CADENCES = {
+  single: 'Single ring',
+  double: 'Double ring',
+  triple: 'Triple ring'
+};
+
+// Silence between the bursts of a double or triple ring
+const INNER_GAP_MS = 200;
+
+// Limits for the pattern editor
+export const PATTERN_LIMITS = {
+  frequency: { min: 100, max: 2000 },
+  toneMs: { min: 100, max: 3000 },
+  gapMs: { min: 200, max: 6000 }
+};
+
+// Patterns everyone has, modelled on real telephone rings
+export const PRESET_RING_PATTERNS = [
+  { id: 'us', name: 'US ring', frequency: 440, secondFrequency: 480, cadence: 'single', toneMs: 2000, gapMs: 4000 },
+  { id: 'uk', name: 'UK double ring', frequency: 400, secondFrequency: 450, cadence: 'double', toneMs: 400, gapMs: 2000 },
+  { id: 'chirp', name: 'Soft chirp', frequency: 880, secondFrequency: 0, cadence: 'triple', toneMs: 150, gapMs: 1500 }
+];
+
+/**
+ * Validate a ring pattern and fill in missing fields
+ * @param {Object} pattern - Pattern as {id, name, frequency, secondFrequency, cadence, toneMs, gapMs}
+ * @returns {Object} The normalized pattern
+ * @throws {Error} If a field is out of range
+ */
+export function normalizeRingPattern(pattern) {
+  const toNumber = value => parseInt(value, 10);
+  const inRange = (value, { min, max }) => !isNaN(value) && value >= min && value <= max;
+
+  const frequency = toNumber(pattern?.frequency);
+  const secondFrequency = toNumber(pattern?.secondFrequency) || 0;
+  const toneMs = toNumber(pattern?.toneMs);
+  const gapMs = toNumber(pattern?.gapMs);
+
+  if (!inRange(frequency, PATTERN_LIMITS.frequency) ||
+      (secondFrequency !== 0 && !inRange(secondFrequency, PATTERN_LIMITS.frequency))) {
+    const { min, max } = PATTERN_LIMITS.frequency;
+    throw new Error(`Invalid ring pattern frequency. Must be between ${min} and ${max} Hz.`);
+  }
+  if (!Object.hasOwn(RING_CADENCES, pattern?.cadence ?? '')) {
+    throw new Error(`Invalid ring pattern cadence: ${pattern?.cadence}`);
+  }
+  if (!inRange(toneMs, PATTERN_LIMITS.toneMs) || !inRange(gapMs, PATTERN_LIMITS.gapMs)) {
+    throw new Error('Invalid ring pattern duration.');
+  }
+
+  return {
+    id: pattern.id || `pattern_${Date.now().toString(36)}`,
+    name: (pattern.name || '').trim() || 'My ring',
+    frequency,
+    secondFrequency,
+    cadence: pattern.cadence,
+    toneMs,
+    gapMs
+  };
+}
+
+/**
+ * Check whether a ringtone setting refers to a ring pattern
+ * @param {string} ringtone - Ringtone setting
+ * @returns {boolean} True for 'synth:<id>'
+ */
+export function isSynthRingtone(ringtone) {
+  return typeof ringtone === 'string' && ringtone.startsWith(SYNTH_RINGTONE_PREFIX) &&
+    ringtone.length > SYNTH_RINGTONE_PREFIX.length;
+}
+
+/**
+ * Find the pattern a ringtone setting refers to
+ * @param {string} ringtone - Ringtone setting
+ * @param {Array} [patterns] - The user's own patterns
+ * @returns {Object|null} The pattern, or null if it isn't a pattern or has been deleted
+ */
+export function getRingPattern(ringtone, patterns = []) {
+  if (!isSynthRingtone(ringtone)) return null;
+
+  const id = ringtone.slice(SYNTH_RINGTONE_PREFIX.length);
+  return [...PRESET_RING_PATTERNS, ...patterns].find(pattern => pattern.id === id) || null;
+}
+
+/**
+ * Get the on/off steps of one ring cycle
+ * @param {Object} pattern - Ring pattern
+ * @returns {Array<number>} Alternating tone and silence lengths in ms, starting with a tone
+ */
+export function getCadenceSteps(pattern) {
+  const bursts = { single: 1, double: 2, triple: 3 }[pattern.cadence] || 1;
+  const steps = [];
+  for (let i = 0; i < bursts; i++) {
+    steps.push(pattern.toneMs, i < bursts - 1 ? INNER_GAP_MS : pattern.gapMs);
+  }
+  return steps;
+}
+
+// How far ahead ring bursts are scheduled, in seconds
+const SCHEDULE_AHEAD_SECONDS = 1;
+
+/**
+ * Plays a ring pattern on repeat
+ * Has the volume, play, pause and setSinkId members of an audio element, so
+ * the same fade-in, escalation and output device code can drive it.
+ */
+export class SynthRingtone {
+  /**
+   * @param {Object} pattern - Ring pattern
+   */
+  constructor(pattern) {
+    this.pattern = pattern;
+    this.context = null;
+    this.output = null;
+    this.timer = null;
+    this.sinkId = '';
+    this.currentTime = 0;
+    this._volume = 1;
+  }
+
+  get volume() {
+    return this._volume;
+  }
+
+  set volume(value) {
+    this._volume = value;
+    if (this.output) {
+      this.output.gain.value = value;
+    }
+  }
+
+  /**
+   * Choose the output device, like HTMLMediaElement.setSinkId
+   * @param {string} sinkId - Output device ID
+   */
+  async setSinkId(sinkId) {
+    this.sinkId = sinkId;
+    if (this.context && typeof this.context.setSinkId === 'function') {
+      await this.context.setSinkId(sinkId);
+    }
+  }
+
+  /**
+   * Start ringing
+   */
+  async play() {
+    this.pause();
+
+    // A pause() or another play() while this one waits replaces the context,
+    // and this call then stops without touching the new one
+    const context = new AudioContext();
+    this.context = context;
+    if (this.sinkId && typeof context.setSinkId === 'function') {
+      try {
+        await context.setSinkId(this.sinkId);
+      } catch (error) {
+        // Closing the context makes the pending call fail
+        if (this.context !== context) return;
+        throw error;
+      }
+      if (this.context !== context) return;
+    }
+
+    this.output = context.createGain();
+    this.output.gain.value = this._volume;
+    this.output.connect(context.destination);
+
+    const cycleSeconds = getCadenceSteps(this.pattern).reduce((total, ms) => total + ms, 0) / 1000;
+    let nextCycle = context.currentTime + 0.05;
+    const scheduleAhead = () => {
+      while (this.context === context && nextCycle < context.currentTime + SCHEDULE_AHEAD_SECONDS) {
+        this._scheduleCycle(nextCycle);
+        nextCycle += cycleSeconds;
+      }
+    };
+
+    scheduleAhead();
+    this.timer = setInterval(scheduleAhead, 250);
+    await context.resume();
+  }
+
+  /**
+   * Stop ringing
+   */
+  pause() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+      this.output = null;
+    }
+  }
+
+  // PRIVATE METHODS
+
+  /**
+   * Schedule the bursts of one ring cycle
+   * @private
+   */
+  _scheduleCycle(startTime) {
+    let time = startTime;
+    getCadenceSteps(this.pattern).forEach((ms, index) => {
+      if (index % 2 === 0) {
+        this._scheduleTone(time, ms / 1000);
+      }
+      time += ms / 1000;
+    });
+  }
+
+  /**
+   * Schedule one burst, with short ramps so it doesn't click
+   * @private
+   */
+  _scheduleTone(startTime, seconds) {
+    const frequencies = [this.pattern.frequency, this.pattern.secondFrequency].filter(Boolean);
+    const level = 1 / frequencies.length;
+    const ramp = Math.min(0.01, seconds / 4);
+
+    frequencies.forEach(frequency => {
+      const oscillator = this.context.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+
+      const envelope = this.context.createGain();
+      envelope.gain.setValueAtTime(0, startTime);
+      envelope.gain.linearRampToValueAtTime(level, startTime + ramp);
+      envelope.gain.setValueAtTime(level, startTime + seconds - ramp);
+      envelope.gain.linearRampToValueAtTime(0, startTime + seconds);
+
+      oscillator.connect(envelope);
+      envelope.connect(this.output);
+      oscillator.start(startTime);
+      oscillator.stop(startTime + seconds);
+    });
+  }
+}
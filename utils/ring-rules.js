@@ -0,0 +1,171 @@
+/**
+ * Ring rules for the Calendar Ringback extension
+ * User-defined rules that decide how each meeting rings, matched on the
+ * title, organizer, attendee count, calendar and the user's RSVP
+ */
+
+// What a matching rule does with the meeting
+export const RULE_ACTIONS = {
+  ring: 'Ring',
+  notify: 'Notify only',
+  ignore: 'Ignore'
+};
+
+// RSVP statuses a rule can match on (declined meetings never ring)
+export const RULE_RESPONSE_STATUSES = {
+  accepted: 'Accepted',
+  tentative: 'Maybe',
+  needsAction: 'Not responded'
+};
+
+/**
+ * Create a rule with every field set to its "match anything" default
+ * @param {Object} [fields] - Fields to set on the new rule
+ * @returns {Object} The rule
+ */
+export function createRule(fields = {}) {
+  return {
+    id: fields.id || `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    name: fields.name || '',
+    enabled: fields.enabled !== false,
+    conditions: {
+      titleKeywords: [],
+      organizers: [],
+      minAttendees: null,
+      maxAttendees: null,
+      calendarId: '',
+      responseStatus: '',
+      ...fields.conditions
+    },
+    action: fields.action || 'ring',
+    ringtone: fields.ringtone || '',
+    notificationTiming: fields.notificationTiming ?? null,
+    reminderStages: fields.reminderStages ?? null // null uses the global reminder stages
+  };
+}
+
+/**
+ * Find the first enabled rule that matches an event
+ * Rules are evaluated in order, so the list order is the priority.
+ * @param {Object} event - Calendar event (tagged with calendarId)
+ * @param {Array} rules - The user's rules
+ * @returns {Object|null} The matching rule, or null if none match
+ */
+export function findMatchingRule(event, rules = []) {
+  if (!event || !Array.isArray(rules)) return null;
+  return rules.find(rule => rule?.enabled !== false && matchesRule(event, rule)) || null;
+}
+
+/**
+ * Check whether an event meets every condition of a rule
+ * Conditions left empty match any event.
+ * @param {Object} event - Calendar event
+ * @param {Object} rule - Ring rule
+ * @returns {boolean} True if the rule applies to the event
+ */
+export function matchesRule(event, rule) {
+  const conditions = rule?.conditions || {};
+
+  if (conditions.titleKeywords?.length) {
+    const title = (event.summary || '').toLowerCase();
+    if (!conditions.titleKeywords.some(keyword => title.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  if (conditions.organizers?.length) {
+    const organizerEmail = (event.organizer?.email || '').toLowerCase();
+    if (!organizerEmail || !conditions.organizers.some(organizer => matchesOrganizer(organizerEmail, organizer))) {
+      return false;
+    }
+  }
+
+  const attendeeCount = getAttendeeCount(event);
+  if (isNumber(conditions.minAttendees) && attendeeCount < conditions.minAttendees) {
+    return false;
+  }
+  if (isNumber(conditions.maxAttendees) && attendeeCount > conditions.maxAttendees) {
+    return false;
+  }
+
+  if (conditions.calendarId && event.calendarId !== conditions.calendarId) {
+    return false;
+  }
+
+  if (conditions.responseStatus && getResponseStatus(event) !== conditions.responseStatus) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the user's RSVP for an event
+ * Events without an attendee entry for the user are their own, so count as accepted.
+ * @param {Object} event - Calendar event
+ * @returns {string} accepted | tentative | needsAction | declined
+ */
+export function getResponseStatus(event) {
+  const selfAttendee = event?.attendees?.find(attendee => attendee.self);
+  return selfAttendee ? selfAttendee.responseStatus || 'needsAction' : 'accepted';
+}
+
+/**
+ * Count the people in a meeting, including the user
+ * @param {Object} event - Calendar event
+ * @returns {number} Number of attendees
+ */
+export function getAttendeeCount(event) {
+  return Math.max(1, event?.attendees?.length || 0);
+}
+
+/**
+ * Describe a rule's conditions in a short sentence for the settings list
+ * @param {Object} rule - Ring rule
+ * @param {Array} [calendars] - Calendar list, for naming the calendar condition
+ * @returns {string} e.g. 'Title has "1:1" · From @example.com'
+ */
+export function describeRule(rule, calendars = []) {
+  const conditions = rule?.conditions || {};
+  const parts = [];
+
+  if (conditions.titleKeywords?.length) {
+    parts.push(`Title has ${conditions.titleKeywords.map(keyword => `"${keyword}"`).join(' or ')}`);
+  }
+  if (conditions.organizers?.length) {
+    parts.push(`From ${conditions.organizers.join(' or ')}`);
+  }
+  if (isNumber(conditions.minAttendees) && isNumber(conditions.maxAttendees)) {
+    parts.push(`${conditions.minAttendees}–${conditions.maxAttendees} people`);
+  } else if (isNumber(conditions.minAttendees)) {
+    parts.push(`${conditions.minAttendees}+ people`);
+  } else if (isNumber(conditions.maxAttendees)) {
+    parts.push(`Up to ${conditions.maxAttendees} people`);
+  }
+  if (conditions.calendarId) {
+    const calendar = calendars.find(cal => cal.id === conditions.calendarId);
+    parts.push(`In ${calendar?.summary || conditions.calendarId}`);
+  }
+  if (conditions.responseStatus) {
+    parts.push(RULE_RESPONSE_STATUSES[conditions.responseStatus] || conditions.responseStatus);
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : 'Every meeting';
+}
+
+// "boss@example.com" matches exactly; "example.com" or "@example.com" matches the whole domain
+function matchesOrganizer(email, organizer) {
+  const pattern = (organizer || '').trim().toLowerCase();
+  if (!pattern) return false;
+
+  if (pattern.includes('@') && !pattern.startsWith('@')) {
+    return email === pattern;
+  }
+
+  const domain = pattern.replace(/^@/, '');
+  return email.endsWith(`@${domain}`) || email.endsWith(`.${domain}`);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !isNaN(value);
+}
@@ -0,0 +1,141 @@
+/**
+ * Ringtone playback for the Calendar Ringback extension
+ * Volume, fade-in and output device handling shared by the call overlay and
+ * the popup's ringtone preview, so the Test button sounds like a real call
+ */
+
+import customRingtones, { CUSTOM_RINGTONE_PREFIX, isCustomRingtone } from './custom-ringtones.js';
+import { SynthRingtone, getRingPattern, isSynthRingtone } from './ring-patterns.js';
+
+// Ringtones that ship with the extension, by setting value
+export const BUNDLED_RINGTONES = {
+  classic: 'classic-ring.mp3',
+  digital: 'digital-ring.mp3',
+  old: 'old-ring.mp3'
+};
+
+export const DEFAULT_RINGTONE_VOLUME = 80; // percent
+export const FADE_IN_SECONDS = 5;
+
+// Steps per second when changing volume gradually
+const FADE_STEPS_PER_SECOND = 10;
+
+/**
+ * Get the volume to ring at from the user's settings
+ * @param {Object} settings - User settings
+ * @returns {number} Volume between 0 and 1
+ */
+export function getRingtoneVolume(settings = {}) {
+  const percent = settings.ringtoneVolume ?? DEFAULT_RINGTONE_VOLUME;
+  return Math.min(100, Math.max(0, percent)) / 100;
+}
+
+/**
+ * Check whether a ringtone setting names a bundled, uploaded or synthesized ringtone
+ * @param {string} ringtone - Ringtone setting
+ * @returns {boolean} True if the ringtone can be played
+ */
+export function isValidRingtone(ringtone) {
+  return Object.hasOwn(BUNDLED_RINGTONES, ringtone) || isCustomRingtone(ringtone) || isSynthRingtone(ringtone);
+}
+
+/**
+ * Get a URL an audio element can play a ringtone from
+ * Uploaded ringtones that have since been deleted fall back to the classic ring.
+ * Blob URLs for uploaded ringtones should be revoked once playback is over.
+ * @param {string} ringtone - Ringtone setting
+ * @returns {Promise<string>} Audio URL
+ */
+export async function getRingtoneUrl(ringtone) {
+  if (isCustomRingtone(ringtone)) {
+    try {
+      const blob = await customRingtones.getBlob(ringtone.slice(CUSTOM_RINGTONE_PREFIX.length));
+      if (blob) {
+        return URL.createObjectURL(blob);
+      }
+      console.warn(`Custom ringtone ${ringtone} no longer exists, using the classic ring`);
+    } catch (error) {
+      console.error('Could not load custom ringtone:', error);
+    }
+  }
+
+  const file = BUNDLED_RINGTONES[(ringtone || '').toLowerCase()] || BUNDLED_RINGTONES.classic;
+  return chrome.runtime.getURL(`assets/audio/${file}`);
+}
+
+/**
+ * Get something that plays a ringtone
+ * Ring patterns are synthesized; everything else plays through the given audio
+ * element. Deleted patterns fall back to the classic ring.
+ * @param {string} ringtone - Ringtone setting
+ * @param {Object} settings - User settings, for their ring patterns
+ * @param {HTMLAudioElement} audio - Audio element for file ringtones
+ * @returns {Promise<HTMLAudioElement|SynthRingtone>} The player, with its source set
+ */
+export async function createRingtonePlayer(ringtone, settings, audio) {
+  const pattern = getRingPattern(ringtone, settings?.ringPatterns);
+  if (pattern) {
+    return new SynthRingtone(pattern);
+  }
+
+  audio.src = await getRingtoneUrl(ringtone);
+  return audio;
+}
+
+/**
+ * Send an audio element to a chosen output device
+ * Falls back to the system default if the device has gone away or
+ * the browser can't pick one.
+ * @param {HTMLAudioElement} audio - Audio element
+ * @param {string} deviceId - Output device ID, empty for the system default
+ */
+export async function setOutputDevice(audio, deviceId) {
+  if (!deviceId || typeof audio.setSinkId !== 'function') return;
+
+  try {
+    await audio.setSinkId(deviceId);
+  } catch (error) {
+    console.warn('Could not use the chosen audio output, playing on the default device:', error);
+  }
+}
+
+/**
+ * Change an audio element's volume gradually
+ * @param {HTMLAudioElement} audio - Audio element
+ * @param {number} to - Target volume between 0 and 1
+ * @param {number} seconds - How long the change takes
+ * @returns {number} Interval ID, for clearInterval if the change has to stop early
+ */
+export function fadeVolume(audio, to, seconds) {
+  const from = audio.volume;
+  const steps = Math.max(1, Math.round(seconds * FADE_STEPS_PER_SECOND));
+  let step = 0;
+
+  const interval = setInterval(() => {
+    step++;
+    audio.volume = Math.min(1, Math.max(0, from + ((to - from) * step) / steps));
+    if (step >= steps) {
+      clearInterval(interval);
+    }
+  }, 1000 / FADE_STEPS_PER_SECOND);
+
+  return interval;
+}
+
+/**
+ * List the audio output devices the ring can play on
+ * Device names are only shown once the extension has been allowed to use
+ * the microphone, so unnamed devices get a numbered label.
+ * @returns {Promise<Array>} Devices as {deviceId, label}
+ */
+export async function listOutputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'audiooutput' && device.deviceId && device.deviceId !== 'default')
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Speaker ${index + 1}`
+    }));
+}
@@ -0,0 +1,75 @@
+/**
+ * Snooze options for the Calendar Ringback extension
+ * Shared by the background, which schedules the snoozed ring, and by the call
+ * overlay and popup, which offer the choices
+ */
+
+import { parseEventTime } from './event-time.js';
+
+// Snooze choices, in menu order
+export const SNOOZE_OPTIONS = {
+  '1': '1 min',
+  '2': '2 min',
+  '5': '5 min',
+  '10': '10 min',
+  untilStart: 'Until start time',
+  afterStart: '5 min after start'
+};
+
+export const DEFAULT_SNOOZE_OPTION = '2';
+export const DEFAULT_MAX_SNOOZES = 3;
+export const MAX_SNOOZES_LIMIT = 10;
+
+// Minutes after the start for the afterStart choice
+const AFTER_START_MINUTES = 5;
+
+/**
+ * Work out when a snoozed meeting should ring again
+ * @param {string} option - One of SNOOZE_OPTIONS
+ * @param {string|number|Date} startTime - Meeting start; a plain date is local midnight
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Time to ring again in ms, or null if that time has already passed
+ * @throws {Error} If the option is unknown
+ */
+export function getSnoozeTime(option, startTime, now = Date.now()) {
+  if (!Object.hasOwn(SNOOZE_OPTIONS, option)) {
+    throw new Error(`Invalid snooze option: ${option}`);
+  }
+
+  const start = parseEventTime(startTime).getTime();
+  let when;
+  if (option === 'untilStart') {
+    when = start;
+  } else if (option === 'afterStart') {
+    when = start + AFTER_START_MINUTES * 60000;
+  } else {
+    when = now + parseInt(option, 10) * 60000;
+  }
+
+  return when > now ? when : null;
+}
+
+/**
+ * Pick the snooze choice the Snooze buttons use for a meeting
+ * The preferred choice is used while it still lies ahead, otherwise the default.
+ * @param {string} preferred - The user's default snooze choice
+ * @param {string|number|Date} startTime - Meeting start
+ * @param {number} [now] - Current time in ms
+ * @returns {string} One of SNOOZE_OPTIONS
+ */
+export function resolveSnoozeOption(preferred, startTime, now = Date.now()) {
+  if (Object.hasOwn(SNOOZE_OPTIONS, preferred) && getSnoozeTime(preferred, startTime, now) !== null) {
+    return preferred;
+  }
+  return DEFAULT_SNOOZE_OPTION;
+}
+
+/**
+ * Describe a snooze choice for a button, e.g. "Snooze 2 min"
+ * @param {string} option - One of SNOOZE_OPTIONS
+ * @returns {string} Button label
+ */
+export function getSnoozeLabel(option) {
+  const label = SNOOZE_OPTIONS[option] || SNOOZE_OPTIONS[DEFAULT_SNOOZE_OPTION];
+  return `Snooze ${label.charAt(0).toLowerCase()}${label.slice(1)}`;
+}